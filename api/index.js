@@ -410,11 +410,11 @@ async function handleHealth(req, res) {
       blockchain: {
         height: blockchain.getLatestBlock().height,
         isValid: blockchain.isChainValid(),
-        pendingTransactions: blockchain.pendingTransactions.length
+        pendingTransactions: blockchain.mempool.size
       },
       network: {
         connectedPeers: node.getConnectedPeers().length,
-        hashRate: node.getHashRate()
+        hashRate: blockchain.getNetworkHashRate()
       },
       system: {
         platform: 'vercel',
@@ -478,7 +478,7 @@ async function handleWalletAPI(req, res, path) {
       res.json({
         success: true,
         address,
-        balance
+        balance: balance.toString()
       });
       return;
     }
@@ -534,13 +534,13 @@ async function handleMiningAPI(req, res, path) {
   try {
     if (req.method === 'GET' && path === '/info') {
       const latestBlock = blockchain.getLatestBlock();
-      const pendingCount = blockchain.pendingTransactions.length;
+      const pendingCount = blockchain.mempool.size;
       
       res.json({
         success: true,
         mining: {
           difficulty: blockchain.difficulty,
-          blockReward: blockchain.miningReward,
+          blockReward: blockchain.getBlockReward().toString(),
           pendingTransactions: pendingCount,
           latestBlock: {
             index: latestBlock.index,
@@ -548,7 +548,7 @@ async function handleMiningAPI(req, res, path) {
             timestamp: latestBlock.timestamp
           },
           maxTransactionsPerBlock: blockchain.maxTransactionsPerBlock,
-          networkHashRate: node.getHashRate()
+          networkHashRate: blockchain.getNetworkHashRate()
         }
       });
       return;
@@ -1,10 +1,41 @@
 import { Router } from 'express';
+import { Transaction } from '../core/blockchain.js';
+import { Amount } from '../core/amount.js';
+import { formatBits, getDifficulty } from '../core/difficulty.js';
 
 export class ExplorerAPI {
   constructor(blockchain) {
     this.blockchain = blockchain;
     this.router = Router();
+    this.feedClients = new Set(); // Open /events responses
     this.setupRoutes();
+    this.subscribeToChain();
+  }
+
+  // Push chain events to every open /events stream
+  subscribeToChain() {
+    const summarizeBlock = block => ({
+      index: block.index,
+      hash: block.hash,
+      previousHash: block.previousHash,
+      timestamp: block.timestamp,
+      transactionCount: block.transactions.length
+    });
+
+    this.blockchain.on('block:connected', ({ block, reorg }) => this.publish('block:connected', { ...summarizeBlock(block), reorg }));
+    this.blockchain.on('block:disconnected', ({ block, reorg }) => this.publish('block:disconnected', { ...summarizeBlock(block), reorg }));
+    this.blockchain.on('reorg', entry => this.publish('reorg', entry));
+    this.blockchain.on('tx:accepted', ({ transaction }) => this.publish('tx:accepted', transaction));
+    this.blockchain.on('tx:evicted', ({ transaction, reason }) => this.publish('tx:evicted', { id: transaction.id, reason }));
+  }
+
+  publish(event, data) {
+    if (this.feedClients.size === 0) return;
+
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of this.feedClients) {
+      res.write(message);
+    }
   }
 
   setupRoutes() {
@@ -59,13 +90,18 @@ export class ExplorerAPI {
             index: block.index,
             hash: block.hash,
             previousHash: block.previousHash,
+            merkleRoot: block.merkleRoot,
             timestamp: block.timestamp,
+            bits: formatBits(block.bits),
+            difficulty: block.bits ? getDifficulty(block.bits) : 0,
             nonce: block.nonce,
+            seal: block.seal,
             transactions: block.transactions.map(tx => ({
               id: tx.id,
               fromAddress: tx.fromAddress,
               toAddress: tx.toAddress,
-              amount: tx.amount,
+              amount: tx.amount.toString(),
+              fee: tx.fee.toString(),
               timestamp: tx.timestamp,
               data: tx.data
             })),
@@ -81,38 +117,67 @@ export class ExplorerAPI {
     this.router.get('/transaction/:txId', (req, res) => {
       try {
         const { txId } = req.params;
-        let transaction = null;
-        let blockIndex = null;
-
-        // Search through all blocks
-        for (let i = 0; i < this.blockchain.chain.length; i++) {
-          const block = this.blockchain.chain[i];
-          const foundTx = block.transactions.find(tx => tx.id === txId);
-          if (foundTx) {
-            transaction = foundTx;
-            blockIndex = i;
-            break;
-          }
-        }
+        const found = this.blockchain.getTransaction(txId);
 
-        if (!transaction) {
+        if (!found) {
           return res.status(404).json({ 
             success: false, 
             error: 'Transaction not found' 
           });
         }
 
+        const { transaction, blockIndex, blockHash } = found;
+
         res.json({
           success: true,
           transaction: {
             id: transaction.id,
             fromAddress: transaction.fromAddress,
             toAddress: transaction.toAddress,
-            amount: transaction.amount,
+            amount: transaction.amount.toString(),
+            fee: transaction.fee.toString(),
             timestamp: transaction.timestamp,
             data: transaction.data,
+            publicKey: transaction.publicKey,
+            signature: transaction.signature,
             blockIndex,
-            blockHash: this.blockchain.chain[blockIndex].hash
+            blockHash
+          }
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Get a Merkle inclusion proof for a confirmed transaction (SPV)
+    this.router.get('/transaction/:txId/proof', (req, res) => {
+      try {
+        const { txId } = req.params;
+        const found = this.blockchain.getTransaction(txId);
+
+        if (!found) {
+          return res.status(404).json({ 
+            success: false, 
+            error: 'Transaction not found' 
+          });
+        }
+
+        const block = this.blockchain.chain[found.blockIndex];
+
+        res.json({
+          success: true,
+          proof: {
+            txId,
+            // The leaf preimage, so a client can rebuild the leaf from the txId
+            publicKey: found.transaction.publicKey,
+            signature: found.transaction.signature,
+            leaf: Transaction.leafHash(found.transaction),
+            position: found.position,
+            transactionCount: block.transactions.length,
+            branch: block.getMerkleProof(found.position),
+            merkleRoot: block.merkleRoot,
+            blockHash: block.hash,
+            header: block.getHeader()
           }
         });
       } catch (error) {
@@ -148,14 +213,17 @@ export class ExplorerAPI {
       try {
         res.json({
           success: true,
-          pendingTransactions: this.blockchain.pendingTransactions.map(tx => ({
+          pendingTransactions: this.blockchain.mempool.getTransactions().map(tx => ({
             id: tx.id,
             fromAddress: tx.fromAddress,
             toAddress: tx.toAddress,
-            amount: tx.amount,
+            amount: tx.amount.toString(),
+            fee: tx.fee.toString(),
+            nonce: tx.nonce,
             timestamp: tx.timestamp,
             data: tx.data
-          }))
+          })),
+          mempool: this.blockchain.mempool.getStats()
         });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -184,7 +252,8 @@ export class ExplorerAPI {
             id: tx.id,
             fromAddress: tx.fromAddress,
             toAddress: tx.toAddress,
-            amount: tx.amount,
+            amount: tx.amount.toString(),
+            fee: tx.fee.toString(),
             timestamp: tx.timestamp
           })));
         }
@@ -201,7 +270,8 @@ export class ExplorerAPI {
                 id: foundTx.id,
                 fromAddress: foundTx.fromAddress,
                 toAddress: foundTx.toAddress,
-                amount: foundTx.amount,
+                amount: foundTx.amount.toString(),
+                fee: foundTx.fee.toString(),
                 timestamp: foundTx.timestamp,
                 blockIndex: block.index
               });
@@ -240,19 +310,12 @@ export class ExplorerAPI {
     this.router.get('/stats', (req, res) => {
       try {
         const chain = this.blockchain.chain;
-        const totalTransactions = chain.reduce((sum, block) => sum + block.transactions.length, 0);
-        const totalFees = chain.reduce((sum, block) => {
-          return sum + block.transactions.reduce((blockSum, tx) => blockSum + (tx.data?.bridgeFee || 0), 0);
-        }, 0);
+        const { totalTransactions, totalFees } = this.blockchain.state.getStats();
 
-        // Calculate average block time
+        // Consecutive block gaps telescope to (last - first)
         let avgBlockTime = 0;
         if (chain.length > 1) {
-          const timeDiffs = [];
-          for (let i = 1; i < chain.length; i++) {
-            timeDiffs.push(chain[i].timestamp - chain[i-1].timestamp);
-          }
-          avgBlockTime = timeDiffs.reduce((sum, diff) => sum + diff, 0) / timeDiffs.length;
+          avgBlockTime = (chain[chain.length - 1].timestamp - chain[0].timestamp) / (chain.length - 1);
         }
 
         // Get transaction volume over time (last 10 blocks)
@@ -261,7 +324,7 @@ export class ExplorerAPI {
           blockIndex: block.index,
           timestamp: block.timestamp,
           transactionCount: block.transactions.length,
-          totalAmount: block.transactions.reduce((sum, tx) => sum + tx.amount, 0)
+          totalAmount: block.transactions.reduce((sum, tx) => sum + tx.amount, 0n).toString()
         }));
 
         res.json({
@@ -269,10 +332,12 @@ export class ExplorerAPI {
           stats: {
             totalBlocks: chain.length,
             totalTransactions,
-            pendingTransactions: this.blockchain.pendingTransactions.length,
+            pendingTransactions: this.blockchain.mempool.size,
             avgBlockTime: Math.round(avgBlockTime),
-            totalFees,
+            totalFees: totalFees.toString(),
+            decimals: Amount.decimals,
             difficulty: this.blockchain.difficulty,
+            consensus: this.blockchain.getConsensusInfo(),
             isValid: this.blockchain.isChainValid(),
             volumeData
           }
@@ -282,43 +347,77 @@ export class ExplorerAPI {
       }
     });
 
+    // Get recent chain reorganisations
+    this.router.get('/reorgs', (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 20;
+
+        res.json({
+          success: true,
+          reorgs: this.blockchain.reorgHistory.slice(0, limit)
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Get rich list (top addresses by balance)
     this.router.get('/rich-list', (req, res) => {
       try {
-        const balances = new Map();
+        // Top 100 addresses straight from the account state index
+        const richList = this.blockchain.state.getRichList(100).map(entry => ({
+          ...entry,
+          balance: entry.balance.toString()
+        }));
 
-        // Calculate balances for all addresses
-        for (const block of this.blockchain.chain) {
-          for (const tx of block.transactions) {
-            if (tx.fromAddress) {
-              balances.set(tx.fromAddress, (balances.get(tx.fromAddress) || 0) - tx.amount);
-            }
-            if (tx.toAddress) {
-              balances.set(tx.toAddress, (balances.get(tx.toAddress) || 0) + tx.amount);
-            }
-          }
-        }
+        res.json({
+          success: true,
+          richList
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
 
-        // Sort by balance (descending) and take top 100
-        const richList = Array.from(balances.entries())
-          .filter(([address, balance]) => balance > 0)
-          .sort((a, b) => b[1] - a[1])
-          .slice(0, 100)
-          .map(([address, balance], index) => ({
-            rank: index + 1,
-            address,
-            balance
-          }));
+    // Get coin supply and emission schedule position
+    this.router.get('/supply', (req, res) => {
+      try {
+        const { emission } = this.blockchain;
+        const height = this.blockchain.getLatestBlock().index;
 
         res.json({
           success: true,
-          richList
+          supply: {
+            height,
+            circulatingSupply: this.blockchain.state.getCirculatingSupply().toString(),
+            issuedToDate: emission.getIssuedThrough(height).toString(),
+            maxSupply: emission.maxSupply.toString(),
+            premine: emission.premine.toString(),
+            currentReward: this.blockchain.getBlockReward().toString(),
+            halvingInterval: emission.halvingInterval,
+            nextHalvingHeight: emission.getNextHalvingHeight(height),
+            decimals: Amount.decimals
+          }
         });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    // Live feed of chain events as Server-Sent Events
+    this.router.get('/events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.flushHeaders();
+      res.write(': connected\n\n');
+
+      this.feedClients.add(res);
+      req.on('close', () => this.feedClients.delete(res));
+    });
+
     // Explorer dashboard HTML
     this.router.get('/', (req, res) => {
       res.send(this.getExplorerDashboardHTML());
@@ -538,6 +637,14 @@ export class ExplorerAPI {
         </div>
 
         <script>
+          let decimals = 8;
+
+          // Amounts arrive as strings of integer base units
+          function formatAmount(units) {
+            const digits = String(units).padStart(decimals + 1, '0');
+            return decimals ? digits.slice(0, -decimals) + '.' + digits.slice(-decimals) : digits;
+          }
+
           async function loadStats() {
             try {
               const response = await fetch('/api/explorer/stats');
@@ -545,6 +652,7 @@ export class ExplorerAPI {
               
               if (data.success) {
                 const stats = data.stats;
+                decimals = stats.decimals;
                 document.getElementById('statsGrid').innerHTML = \`
                   <div class="stat-card">
                     <div class="stat-value">\${stats.totalBlocks}</div>
@@ -563,11 +671,11 @@ export class ExplorerAPI {
                     <div class="stat-label">Avg Block Time</div>
                   </div>
                   <div class="stat-card">
-                    <div class="stat-value">\${stats.totalFees.toFixed(2)}</div>
+                    <div class="stat-value">\${formatAmount(stats.totalFees)}</div>
                     <div class="stat-label">Total Fees</div>
                   </div>
                   <div class="stat-card">
-                    <div class="stat-value">\${stats.difficulty}</div>
+                    <div class="stat-value">\${stats.difficulty.toFixed(2)}</div>
                     <div class="stat-label">Difficulty</div>
                   </div>
                 \`;
@@ -623,7 +731,7 @@ export class ExplorerAPI {
                         <p><strong>ID:</strong> <span class="address">\${tx.id}</span></p>
                         <p><strong>From:</strong> <span class="address">\${tx.fromAddress || 'Mining Reward'}</span></p>
                         <p><strong>To:</strong> <span class="address">\${tx.toAddress}</span></p>
-                        <p><strong>Amount:</strong> \${tx.amount} KEETA</p>
+                        <p><strong>Amount:</strong> \${formatAmount(tx.amount)} KEETA</p>
                       </div>
                     </div>
                   \`).join('');
@@ -646,7 +754,7 @@ export class ExplorerAPI {
                   <div class="transaction-item">
                     <div class="item-header">
                       <span class="item-title">#\${item.rank}</span>
-                      <span class="item-time">\${item.balance} KEETA</span>
+                      <span class="item-time">\${formatAmount(item.balance)} KEETA</span>
                     </div>
                     <div class="item-details">
                       <p><strong>Address:</strong> <span class="address">\${item.address}</span></p>
@@ -675,7 +783,7 @@ export class ExplorerAPI {
                 if (result.type === 'block') {
                   alert(\`Found Block #\${result.index}\\nHash: \${result.hash}\\nTransactions: \${result.transactionCount}\`);
                 } else if (result.type === 'transaction') {
-                  alert(\`Found Transaction\\nID: \${result.id}\\nFrom: \${result.fromAddress}\\nTo: \${result.toAddress}\\nAmount: \${result.amount} KEETA\`);
+                  alert(\`Found Transaction\\nID: \${result.id}\\nFrom: \${result.fromAddress}\\nTo: \${result.toAddress}\\nAmount: \${formatAmount(result.amount)} KEETA\`);
                 }
               } else {
                 alert('No results found');
@@ -1,28 +1,76 @@
 import { Router } from 'express';
 import crypto from 'crypto';
+import os from 'os';
+import { bitsToTarget } from '../core/difficulty.js';
+import { HashRateMeter, HASHRATE_WINDOWS } from '../core/hashrate.js';
+import { InputValidator } from '../middleware/security.js';
+import { monitor } from '../monitoring/metrics.js';
 
 export class MiningAPI {
-  constructor(blockchain, node) {
+  constructor(blockchain, node, pool = null) {
     this.blockchain = blockchain;
     this.node = node;
+    this.pool = pool; // MiningPool when this node runs in pool mode
     this.router = Router();
     this.miningJobs = new Map();
     this.miners = new Map();
+    this.maxThreads = os.availableParallelism();
     this.setupRoutes();
   }
 
+  // Hashes per second over the last minute across this node's running jobs
+  getLocalHashRate() {
+    return Array.from(this.miningJobs.values())
+      .filter(job => job.status === 'running')
+      .reduce((sum, job) => sum + this.getJobHashRates(job).hashRate, 0);
+  }
+
+  // A job's measured rates: per thread and in total over the last minute,
+  // in total over each sliding window, and averaged over the job's life
+  getJobHashRates(job) {
+    const now = Date.now();
+    const threadHashRates = job.meters.map(meter => meter.getRate(HASHRATE_WINDOWS['1m'], now));
+    const windows = job.meters.map(meter => meter.getRates(now));
+
+    return {
+      hashRate: threadHashRates.reduce((sum, rate) => sum + rate, 0),
+      hashRates: Object.fromEntries(Object.keys(windows[0]).map(name => [
+        name,
+        windows.reduce((sum, rates) => sum + rates[name], 0)
+      ])),
+      threadHashRates,
+      averageHashRate: job.meters.reduce((sum, meter) => sum + meter.getAverageRate(), 0)
+    };
+  }
+
+  // Job fields reported by the status endpoints
+  describeJob(job) {
+    return {
+      id: job.id,
+      minerAddress: job.minerAddress,
+      status: job.status,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      duration: job.endTime ? job.endTime - job.startTime : Date.now() - job.startTime,
+      blocksMined: job.blocksMined,
+      ...this.getJobHashRates(job),
+      threads: job.threads
+    };
+  }
+
   setupRoutes() {
     // Get mining info
     this.router.get('/info', (req, res) => {
       try {
         const latestBlock = this.blockchain.getLatestBlock();
-        const pendingCount = this.blockchain.pendingTransactions.length;
+        const pendingCount = this.blockchain.mempool.size;
         
         res.json({
           success: true,
           mining: {
             difficulty: this.blockchain.difficulty,
-            blockReward: this.blockchain.miningReward,
+            consensus: this.blockchain.getConsensusInfo(),
+            blockReward: this.blockchain.getBlockReward().toString(),
             pendingTransactions: pendingCount,
             latestBlock: {
               index: latestBlock.index,
@@ -30,7 +78,9 @@ export class MiningAPI {
               timestamp: latestBlock.timestamp
             },
             maxTransactionsPerBlock: this.blockchain.maxTransactionsPerBlock,
-            networkHashRate: this.node.getHashRate()
+            networkHashRate: this.blockchain.getNetworkHashRate(),
+            networkHashRateBlocks: this.blockchain.hashRateBlocks,
+            localHashRate: this.getLocalHashRate()
           }
         });
       } catch (error) {
@@ -50,6 +100,13 @@ export class MiningAPI {
           });
         }
 
+        if (!Number.isInteger(threads) || threads < 1 || threads > this.maxThreads) {
+          return res.status(400).json({
+            success: false,
+            error: `threads must be an integer from 1 to ${this.maxThreads}`
+          });
+        }
+
         const jobId = crypto.randomUUID();
         const job = {
           id: jobId,
@@ -58,7 +115,8 @@ export class MiningAPI {
           startTime: Date.now(),
           status: 'running',
           blocksMined: 0,
-          hashRate: 0
+          meters: Array.from({ length: threads }, () => new HashRateMeter()), // One per thread
+          controller: null // Aborts the block being sealed
         };
 
         this.miningJobs.set(jobId, job);
@@ -96,6 +154,8 @@ export class MiningAPI {
         job.status = 'stopped';
         job.endTime = Date.now();
         job.duration = job.endTime - job.startTime;
+        job.controller?.abort(new Error('Mining job stopped'));
+        monitor.recordMiningHashRate(this.getLocalHashRate());
 
         res.json({
           success: true,
@@ -104,7 +164,7 @@ export class MiningAPI {
             status: 'stopped',
             blocksMined: job.blocksMined,
             duration: job.duration,
-            avgHashRate: job.hashRate
+            averageHashRate: this.getJobHashRates(job).averageHashRate
           }
         });
       } catch (error) {
@@ -127,17 +187,7 @@ export class MiningAPI {
 
         res.json({
           success: true,
-          job: {
-            id: job.id,
-            minerAddress: job.minerAddress,
-            status: job.status,
-            startTime: job.startTime,
-            endTime: job.endTime,
-            duration: job.endTime ? job.endTime - job.startTime : Date.now() - job.startTime,
-            blocksMined: job.blocksMined,
-            hashRate: job.hashRate,
-            threads: job.threads
-          }
+          job: this.describeJob(job)
         });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -147,17 +197,7 @@ export class MiningAPI {
     // Get all mining jobs
     this.router.get('/jobs', (req, res) => {
       try {
-        const jobs = Array.from(this.miningJobs.values()).map(job => ({
-          id: job.id,
-          minerAddress: job.minerAddress,
-          status: job.status,
-          startTime: job.startTime,
-          endTime: job.endTime,
-          duration: job.endTime ? job.endTime - job.startTime : Date.now() - job.startTime,
-          blocksMined: job.blocksMined,
-          hashRate: job.hashRate,
-          threads: job.threads
-        }));
+        const jobs = Array.from(this.miningJobs.values()).map(job => this.describeJob(job));
 
         res.json({
           success: true,
@@ -168,28 +208,88 @@ export class MiningAPI {
       }
     });
 
+    // Pool views, when this node runs a mining pool
+    this.router.use('/pool', (req, res, next) => {
+      if (!this.pool) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pool mode is not enabled on this node'
+        });
+      }
+      next();
+    });
+
     // Get mining pool info
     this.router.get('/pool', (req, res) => {
       try {
-        const totalMiners = this.miningJobs.size;
-        const activeMiners = Array.from(this.miningJobs.values())
-          .filter(job => job.status === 'running').length;
-        
-        const totalHashRate = Array.from(this.miningJobs.values())
-          .reduce((sum, job) => sum + job.hashRate, 0);
+        res.json({ success: true, pool: this.pool.getStats() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
 
-        const totalBlocksMined = Array.from(this.miningJobs.values())
-          .reduce((sum, job) => sum + job.blocksMined, 0);
+    // Get pool workers with their difficulty, shares, hashrate and balance
+    this.router.get('/pool/workers', (req, res) => {
+      try {
+        res.json({ success: true, workers: this.pool.getWorkers() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Get pool balances and payouts, optionally for one address
+    this.router.get('/pool/payouts', (req, res) => {
+      try {
+        const { address } = req.query;
+        if (address !== undefined) {
+          const addressValidation = InputValidator.validateAddress(address);
+          if (!addressValidation.valid) {
+            return res.status(400).json({
+              success: false,
+              error: addressValidation.error
+            });
+          }
+        }
+
+        res.json({ success: true, ...this.pool.getPayouts(address ?? null) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Get a block template for an external miner. The miner grinds `nonce`
+    // (and may move `timestamp`) in `header` until its hash meets `target`.
+    this.router.get('/template', (req, res) => {
+      try {
+        const { minerAddress } = req.query;
+
+        const addressValidation = InputValidator.validateAddress(minerAddress);
+        if (!addressValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: addressValidation.error
+          });
+        }
+
+        if (this.blockchain.consensus.name !== 'pow') {
+          return res.status(400).json({
+            success: false,
+            error: `Block templates are only served for proof of work, not ${this.blockchain.consensus.name}`
+          });
+        }
+
+        const { templateId, block } = this.blockchain.coordinator.issueTemplate(minerAddress);
+        const coinbase = block.transactions[block.transactions.length - 1];
 
         res.json({
           success: true,
-          pool: {
-            totalMiners,
-            activeMiners,
-            totalHashRate,
-            totalBlocksMined,
-            difficulty: this.blockchain.difficulty,
-            blockReward: this.blockchain.miningReward
+          template: {
+            templateId,
+            header: block.getHeader(),
+            target: bitsToTarget(block.bits).toString(16).padStart(64, '0'),
+            coinbaseValue: coinbase.amount.toString(),
+            transactions: block.transactions.length,
+            minTimestamp: this.blockchain.getMedianTimePast(block.index) + 1
           }
         });
       } catch (error) {
@@ -197,49 +297,35 @@ export class MiningAPI {
       }
     });
 
-    // Submit mined block (for external miners)
-    this.router.post('/submit', (req, res) => {
+    // Submit a solved template (for external miners)
+    this.router.post('/submit', async (req, res) => {
       try {
-        const { minerAddress, nonce, blockData } = req.body;
+        const { templateId, nonce, timestamp } = req.body;
         
-        if (!minerAddress || !nonce || !blockData) {
+        if (typeof templateId !== 'string' || !Number.isSafeInteger(nonce) || nonce < 0) {
           return res.status(400).json({
             success: false,
-            error: 'Missing required fields: minerAddress, nonce, blockData'
+            error: 'Required fields: templateId and a non-negative integer nonce'
           });
         }
 
-        // Create block with submitted nonce
-        const { Block } = require('../core/blockchain.js');
-        const block = new Block(
-          blockData.index,
-          blockData.transactions,
-          blockData.previousHash,
-          blockData.timestamp
-        );
-        block.nonce = nonce;
-        block.hash = block.calculateHash();
-
-        // Validate the block
-        const target = Array(this.blockchain.difficulty + 1).join('0');
-        if (block.hash.substring(0, this.blockchain.difficulty) !== target) {
+        if (timestamp !== undefined && !Number.isSafeInteger(timestamp)) {
           return res.status(400).json({
             success: false,
-            error: 'Invalid block hash - does not meet difficulty requirement'
+            error: 'timestamp must be an integer number of milliseconds'
           });
         }
 
-        // Add block to blockchain
-        this.blockchain.chain.push(block);
-        
-        // Remove mined transactions from pending
-        const minedTxIds = block.transactions.map(tx => tx.id);
-        this.blockchain.pendingTransactions = this.blockchain.pendingTransactions.filter(
-          tx => !minedTxIds.includes(tx.id)
-        );
-
-        // Broadcast to network
-        this.node.broadcastBlock(block);
+        // The coordinator checks the block against the tip and every consensus
+        // rule, then connects and stores it; the node relays it from there
+        const { block, rejection } = await this.blockchain.coordinator.submitTemplate(templateId, { nonce, timestamp });
+        if (rejection) {
+          return res.status(rejection.code === 'unknown-template' ? 404 : 400).json({
+            success: false,
+            error: rejection.message,
+            code: rejection.code
+          });
+        }
 
         res.json({
           success: true,
@@ -248,7 +334,7 @@ export class MiningAPI {
             hash: block.hash,
             nonce: block.nonce,
             transactions: block.transactions.length,
-            reward: this.blockchain.miningReward
+            reward: this.blockchain.getBlockReward(block.index).toString()
           }
         });
       } catch (error) {
@@ -262,59 +348,54 @@ export class MiningAPI {
     });
   }
 
+  // Mine blocks through the coordinator on the job's worker threads until the
+  // job is stopped. An attempt the coordinator abandons because the tip moved
+  // is rebuilt on the new tip.
   async startMining(job) {
-    const { Block, Transaction } = await import('../core/blockchain.js');
-    
-    const mineBlock = () => {
+    const onProgress = ({ thread, hashes, elapsed }) => {
+      job.meters[thread].record(hashes, elapsed);
+      monitor.recordMiningHashRate(this.getLocalHashRate());
+    };
+
+    const mineBlock = async () => {
       if (job.status !== 'running') return;
 
       try {
-        // Get transactions to mine
-        const transactionsToMine = this.blockchain.pendingTransactions.slice(
-          0, 
-          this.blockchain.maxTransactionsPerBlock
-        );
-
-        // Add reward transaction
-        const rewardTx = new Transaction(null, job.minerAddress, this.blockchain.miningReward);
-        transactionsToMine.push(rewardTx);
-
-        // Create new block
-        const block = new Block(
-          this.blockchain.chain.length,
-          transactionsToMine,
-          this.blockchain.getLatestBlock().hash
-        );
-
-        // Mine the block
-        const startTime = Date.now();
-        block.mineBlock(this.blockchain.difficulty);
-        const endTime = Date.now();
+        // Build, seal and connect a block; the node relays it and mined
+        // transactions leave the mempool
+        job.controller = new AbortController();
+        const block = await this.blockchain.coordinator.mine(job.minerAddress, {
+          threads: job.threads,
+          signal: job.controller.signal,
+          onProgress
+        });
+        job.controller = null;
 
         // Update job stats
         job.blocksMined++;
-        job.hashRate = 1000 / ((endTime - startTime) / block.nonce); // Simplified hash rate
-
-        // Add block to blockchain
-        this.blockchain.chain.push(block);
 
-        // Remove mined transactions from pending
-        this.blockchain.pendingTransactions = this.blockchain.pendingTransactions.slice(
-          this.blockchain.maxTransactionsPerBlock
-        );
-
-        // Broadcast to network
-        this.node.broadcastBlock(block);
+        console.log(`✅ Job ${job.id} mined block #${block.index}`);
+      } catch (error) {
+        job.controller = null;
 
-        console.log(`✅ Job ${job.id} mined block #${block.index} with ${block.nonce} attempts`);
+        // An authority that sealed one of the last blocks waits a period for
+        // the other signers before trying again
+        if (job.status === 'running' && error.code === 'recent-signer') {
+          setTimeout(mineBlock, this.blockchain.consensus.period);
+          return;
+        }
 
-        // Continue mining if job is still running
-        if (job.status === 'running') {
-          setTimeout(mineBlock, 100); // Small delay to prevent blocking
+        // Stopped, or beaten to the tip by another miner
+        if (job.status === 'running' && error.code !== 'stale') {
+          console.error(`❌ Mining error in job ${job.id}:`, error);
+          job.status = 'error';
+          return;
         }
-      } catch (error) {
-        console.error(`❌ Mining error in job ${job.id}:`, error);
-        job.status = 'error';
+      }
+
+      // Continue mining if job is still running
+      if (job.status === 'running') {
+        setTimeout(mineBlock, 100); // Small delay between blocks
       }
     };
 
@@ -532,10 +613,7 @@ export class MiningAPI {
             <div class="form-group">
               <label>Mining Threads:</label>
               <select id="threads">
-                <option value="1">1 Thread</option>
-                <option value="2">2 Threads</option>
-                <option value="4">4 Threads</option>
-                <option value="8">8 Threads</option>
+                ${Array.from({ length: this.maxThreads }, (_, i) => `<option value="${i + 1}">${i + 1} Thread${i ? 's' : ''}</option>`).join('')}
               </select>
             </div>
             <button class="btn btn-success" onclick="startMining()">Start Mining</button>
@@ -567,7 +645,7 @@ export class MiningAPI {
                 const mining = data.mining;
                 document.getElementById('statsGrid').innerHTML = \`
                   <div class="stat-card">
-                    <div class="stat-value">\${mining.difficulty}</div>
+                    <div class="stat-value">\${mining.difficulty.toFixed(2)}</div>
                     <div class="stat-label">Difficulty</div>
                   </div>
                   <div class="stat-card">
@@ -1,5 +1,9 @@
 import { Router } from 'express';
+import crypto from 'crypto';
 import { CryptoUtils, SecureWallet } from '../core/crypto.js';
+import { Amount } from '../core/amount.js';
+import { Mempool, TransactionRejectedError } from '../core/mempool.js';
+import { FeeEstimator, DEFAULT_CONFIRMATION_TARGETS, DEFAULT_CONFIRMATION_TARGET } from '../core/fees.js';
 import { InputValidator, asyncHandler } from '../middleware/security.js';
 
 export class WalletAPI {
@@ -7,6 +11,7 @@ export class WalletAPI {
     this.blockchain = blockchain;
     this.router = Router();
     this.wallets = new Map();
+    this.feeEstimator = new FeeEstimator(blockchain);
     this.setupRoutes();
   }
 
@@ -43,7 +48,9 @@ export class WalletAPI {
       res.json({
         success: true,
         address,
-        balance
+        balance: balance.toString(),
+        formatted: Amount.format(balance),
+        decimals: Amount.decimals
       });
     }));
 
@@ -64,7 +71,7 @@ export class WalletAPI {
 
     // Send transaction
     this.router.post('/send', asyncHandler(async (req, res) => {
-      const { fromAddress, toAddress, amount, privateKey, data } = req.body;
+      const { fromAddress, toAddress, amount, privateKey, data, nonce, fee } = req.body;
       
       // Validate inputs
       const fromValidation = InputValidator.validateAddress(fromAddress);
@@ -107,15 +114,33 @@ export class WalletAPI {
         });
       }
 
+      const nonceValidation = InputValidator.validateNonce(nonce);
+      if (!nonceValidation.valid) {
+        return res.status(400).json({ 
+          success: false, 
+          error: nonceValidation.error 
+        });
+      }
+
+      const feeValidation = InputValidator.validateFee(fee);
+      if (!feeValidation.valid) {
+        return res.status(400).json({ 
+          success: false, 
+          error: feeValidation.error 
+        });
+      }
+
       const transaction = await this.createAndSignTransaction(
         fromAddress, 
         toAddress, 
         amount, 
         privateKey, 
-        data
+        data,
+        nonce,
+        fee
       );
 
-      this.blockchain.addTransaction(transaction);
+      if (!await this.queueTransaction(transaction, res)) return;
 
       res.json({
         success: true,
@@ -123,25 +148,83 @@ export class WalletAPI {
           id: transaction.id,
           fromAddress: transaction.fromAddress,
           toAddress: transaction.toAddress,
-          amount: transaction.amount,
-          timestamp: transaction.timestamp
+          amount: transaction.amount.toString(),
+          fee: transaction.fee.toString(),
+          nonce: transaction.nonce,
+          timestamp: transaction.timestamp,
+          publicKey: transaction.publicKey,
+          signature: transaction.signature
         }
       });
     }));
 
+    // Suggest fee rates for several confirmation targets
+    this.router.get('/fee-estimate', asyncHandler(async (req, res) => {
+      let targets = DEFAULT_CONFIRMATION_TARGETS;
+      if (req.query.targets) {
+        targets = String(req.query.targets).split(',').map(Number);
+        if (targets.some(target => !Number.isInteger(target) || target < 1 || target > 100)) {
+          return res.status(400).json({ 
+            success: false, 
+            error: 'Targets must be block counts between 1 and 100' 
+          });
+        }
+      }
+
+      const result = this.feeEstimator.estimate(targets);
+      res.json({
+        success: true,
+        unit: 'base units per 1000 bytes',
+        defaultTarget: DEFAULT_CONFIRMATION_TARGET,
+        estimates: result.estimates.map(estimate => ({
+          target: estimate.target,
+          feeRate: estimate.feeRate.toString(),
+          typicalFee: estimate.typicalFee.toString(),
+          historyRate: estimate.historyRate.toString(),
+          backlogRate: estimate.backlogRate.toString()
+        })),
+        typicalSize: result.typicalSize,
+        minRelayFeeRate: result.minRelayFeeRate.toString(),
+        sampledBlocks: result.sampledBlocks,
+        sampledTransactions: result.sampledTransactions,
+        mempool: result.mempool
+      });
+    }));
+
+    // Get next expected nonce for an address
+    this.router.get('/nonce/:address', asyncHandler(async (req, res) => {
+      const { address } = req.params;
+      
+      const addressValidation = InputValidator.validateAddress(address);
+      if (!addressValidation.valid) {
+        return res.status(400).json({ 
+          success: false, 
+          error: addressValidation.error 
+        });
+      }
+      
+      res.json({
+        success: true,
+        address,
+        confirmedNonce: this.blockchain.state.getNonce(address),
+        nextNonce: this.blockchain.getNextNonce(address)
+      });
+    }));
+
     // Get wallet info
     this.router.get('/info/:address', (req, res) => {
       try {
         const { address } = req.params;
         const balance = this.blockchain.getBalance(address);
-        const transactions = this.blockchain.getAllTransactionsForWallet(address);
         
         res.json({
           success: true,
           address,
-          balance,
-          transactionCount: transactions.length,
-          transactions: transactions.slice(-10) // Last 10 transactions
+          balance: balance.toString(),
+          formatted: Amount.format(balance),
+          nextNonce: this.blockchain.getNextNonce(address),
+          transactionCount: this.blockchain.state.getTransactionCount(address),
+          transactions: this.blockchain.getAllTransactionsForWallet(address).slice(-10) // Last 10 transactions
         });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -158,7 +241,9 @@ export class WalletAPI {
           toAddress, 
           amount, 
           privateKey,
-          data 
+          data,
+          nonce,
+          fee
         } = req.body;
 
         if (!fromChain || !toChain || !fromAddress || !toAddress || !amount || !privateKey) {
@@ -168,6 +253,38 @@ export class WalletAPI {
           });
         }
 
+        const amountValidation = InputValidator.validateAmount(amount);
+        if (!amountValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: amountValidation.error
+          });
+        }
+
+        const keyValidation = InputValidator.validatePrivateKey(privateKey);
+        if (!keyValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: keyValidation.error
+          });
+        }
+
+        const nonceValidation = InputValidator.validateNonce(nonce);
+        if (!nonceValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: nonceValidation.error
+          });
+        }
+
+        const feeValidation = InputValidator.validateFee(fee);
+        if (!feeValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: feeValidation.error
+          });
+        }
+
         const transaction = await this.createCrossChainTransaction(
           fromChain,
           toChain,
@@ -175,10 +292,12 @@ export class WalletAPI {
           toAddress,
           amount,
           privateKey,
-          data
+          data,
+          nonce,
+          fee
         );
 
-        this.blockchain.addTransaction(transaction);
+        if (!await this.queueTransaction(transaction, res)) return;
 
         res.json({
           success: true,
@@ -188,7 +307,9 @@ export class WalletAPI {
             toChain,
             fromAddress: transaction.fromAddress,
             toAddress: transaction.toAddress,
-            amount: transaction.amount,
+            amount: transaction.amount.toString(),
+            fee: transaction.fee.toString(),
+            nonce: transaction.nonce,
             bridgeFee: transaction.data.bridgeFee,
             timestamp: transaction.timestamp
           }
@@ -217,7 +338,7 @@ export class WalletAPI {
           success: true,
           address,
           isValid,
-          balance
+          balance: balance.toString()
         });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -259,22 +380,56 @@ export class WalletAPI {
     return wallet;
   }
 
-  async createAndSignTransaction(fromAddress, toAddress, amount, privateKey, data = {}) {
+  async createAndSignTransaction(fromAddress, toAddress, amount, privateKey, data = {}, nonce = undefined, fee = undefined) {
     const { Transaction } = await import('../core/blockchain.js');
-    const transaction = new Transaction(fromAddress, toAddress, amount, data);
-    
+    const txNonce = nonce ?? this.blockchain.getNextNonce(fromAddress);
     const signingKey = crypto.createPrivateKey(privateKey);
-    transaction.signTransaction(signingKey);
-    
+
+    const build = txFee => {
+      const transaction = new Transaction(fromAddress, toAddress, amount, data, txNonce, txFee, this.blockchain.chainId);
+      transaction.signTransaction(signingKey);
+      return transaction;
+    };
+
+    if (fee !== undefined && fee !== null) {
+      return build(fee);
+    }
+
+    // Pay the estimated rate for the default confirmation target. The fee is
+    // part of the signed payload and so changes its size; settle on one that
+    // covers the transaction it ends up in.
+    const feeRate = this.feeEstimator.getFeeRate();
+    let transaction = build(0n);
+    while (transaction.fee < Mempool.calculateFee(transaction, feeRate)) {
+      transaction = build(Mempool.calculateFee(transaction, feeRate));
+    }
+
     return transaction;
   }
 
-  async createCrossChainTransaction(fromChain, toChain, fromAddress, toAddress, amount, privateKey, data = {}) {
+  // Hand a signed transaction to the mempool, answering 400 with the reason
+  // when it is refused. Returns whether it was queued.
+  async queueTransaction(transaction, res) {
+    try {
+      await this.blockchain.addTransaction(transaction);
+      return true;
+    } catch (error) {
+      if (!(error instanceof TransactionRejectedError)) throw error;
+
+      res.status(400).json({ success: false, error: error.message });
+      return false;
+    }
+  }
+
+  async createCrossChainTransaction(fromChain, toChain, fromAddress, toAddress, amount, privateKey, data = {}, nonce = undefined, fee = undefined) {
+    const { Transaction } = await import('../core/blockchain.js');
+
+    // Caller data may not override the route or the bridge fee
     const crossChainData = {
+      ...data,
       fromChain,
       toChain,
-      bridgeFee: amount * 0.001, // 0.1% bridge fee
-      ...data
+      bridgeFee: Transaction.bridgeFee(amount).toString() // Charged through the fee
     };
 
     return await this.createAndSignTransaction(
@@ -282,7 +437,9 @@ export class WalletAPI {
       toAddress,
       amount,
       privateKey,
-      crossChainData
+      crossChainData,
+      nonce,
+      fee
     );
   }
 
@@ -451,8 +608,8 @@ export class WalletAPI {
                 <input type="text" id="toAddress" placeholder="K...">
               </div>
               <div class="form-group">
-                <label>Amount:</label>
-                <input type="number" id="amount" placeholder="0.00">
+                <label>Amount (base units):</label>
+                <input type="text" id="amount" placeholder="Base units, e.g. 1050000000">
               </div>
               <div class="form-group">
                 <label>Private Key:</label>
@@ -514,7 +671,8 @@ export class WalletAPI {
               
               if (data.success) {
                 document.getElementById('balanceDisplay').innerHTML = \`
-                  <div class="balance-display">\${data.balance} KEETA</div>
+                  <div class="balance-display">\${data.formatted} KEETA</div>
+                  <p>\${data.balance} base units</p>
                   <p>Address: \${data.address}</p>
                 \`;
               }
@@ -526,7 +684,7 @@ export class WalletAPI {
           async function sendTransaction() {
             const fromAddress = document.getElementById('fromAddress').value;
             const toAddress = document.getElementById('toAddress').value;
-            const amount = parseFloat(document.getElementById('amount').value);
+            const amount = document.getElementById('amount').value.trim();
             const privateKey = document.getElementById('privateKey').value;
 
             if (!fromAddress || !toAddress || !amount || !privateKey) {
@@ -554,7 +712,7 @@ export class WalletAPI {
                     <p><strong>Transaction ID:</strong> \${data.transaction.id}</p>
                     <p><strong>From:</strong> \${data.transaction.fromAddress}</p>
                     <p><strong>To:</strong> \${data.transaction.toAddress}</p>
-                    <p><strong>Amount:</strong> \${data.transaction.amount} KEETA</p>
+                    <p><strong>Amount:</strong> \${data.transaction.amount} base units</p>
                   </div>
                 \`;
               } else {
@@ -595,7 +753,7 @@ export class WalletAPI {
                           <span style="color: \${color}; font-weight: bold;">\${type}</span>
                           <span>\${new Date(tx.timestamp).toLocaleString()}</span>
                         </div>
-                        <p><strong>Amount:</strong> \${tx.amount} KEETA</p>
+                        <p><strong>Amount:</strong> \${tx.amount} base units</p>
                         <p><strong>From:</strong> \${tx.fromAddress || 'Mining Reward'}</p>
                         <p><strong>To:</strong> \${tx.toAddress}</p>
                         <p><strong>ID:</strong> \${tx.id}</p>
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConfigManager } from '../config.js';
+
+describe('ConfigManager.loadGenesis', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ConfigManager();
+  });
+
+  test('loads the profile genesis from the config directory', async () => {
+    await expect(manager.loadGenesis()).resolves.toMatchObject({ chainId: 'keeta-devnet' });
+  });
+
+  test('resolves a relative genesis file from the config directory', async () => {
+    await expect(manager.loadGenesis('genesis.json')).resolves.toMatchObject({ chainId: 'keeta-devnet' });
+  });
+
+  test('refuses a configured genesis file it cannot read', async () => {
+    await expect(manager.loadGenesis('missing.genesis.json')).rejects.toThrow('Cannot read genesis file');
+    expect(manager.genesis).toBeNull();
+  });
+
+  test('refuses a genesis file that is not JSON', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-'));
+    const file = path.join(dir, 'genesis.json');
+    await fs.writeFile(file, '{ "chainId": ');
+
+    try {
+      await expect(manager.loadGenesis(file)).rejects.toThrow('is not valid JSON');
+    } finally {
+      await fs.rm(dir, { recursive: true });
+    }
+  });
+});
+
+describe('ConfigManager.validate', () => {
+  const loaded = blockchain => Object.assign(new ConfigManager(), {
+    isLoaded: true,
+    config: { server: { port: 3001 }, database: { dataDir: './data' }, blockchain }
+  });
+
+  test('accepts node settings without consensus parameters', () => {
+    expect(loaded({ decimals: 8 }).validate()).toBe(true);
+  });
+
+  test('refuses consensus parameters that belong in the genesis file', () => {
+    expect(() => loaded({ difficulty: 4, miningReward: 10 }).validate())
+      .toThrow('blockchain.difficulty, blockchain.miningReward are no longer read from node configuration');
+  });
+});
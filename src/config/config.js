@@ -1,9 +1,16 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { Amount } from '../core/amount.js';
+import { CryptoUtils } from '../core/crypto.js';
+
+// The node's config files, and the directory relative paths in them resolve from
+const configDir = fileURLToPath(new URL('../../config/', import.meta.url));
 
 export class ConfigManager {
   constructor() {
     this.config = {};
+    this.genesis = null;
     this.isLoaded = false;
   }
 
@@ -11,8 +18,8 @@ export class ConfigManager {
     if (this.isLoaded) return this.config;
 
     try {
-      const configFile = path.join(process.cwd(), 'config', `${environment}.json`);
-      const defaultFile = path.join(process.cwd(), 'config', 'default.json');
+      const configFile = path.join(configDir, `${environment}.json`);
+      const defaultFile = path.join(configDir, 'default.json');
       
       // Load default config first
       let config = {};
@@ -65,9 +72,14 @@ export class ConfigManager {
       'PORT': 'server.port',
       'HOST': 'server.host',
       'NODE_ENV': 'server.nodeEnv',
-      'BLOCKCHAIN_DIFFICULTY': 'blockchain.difficulty',
-      'BLOCKCHAIN_MINING_REWARD': 'blockchain.miningReward',
+      'GENESIS_FILE': 'blockchain.genesisFile',
+      'KEETA_NETWORK': 'network.profile',
+      'CONSENSUS_SIGNER_KEY_FILE': 'consensus.signerKeyFile',
+      'POOL_ENABLED': 'pool.enabled',
+      'POOL_PORT': 'pool.port',
+      'POOL_KEY_FILE': 'pool.keyFile',
       'DATABASE_DIR': 'database.dataDir',
+      'DATABASE_FORMAT': 'database.format',
       'RATE_LIMIT_ENABLED': 'security.rateLimiting.enabled',
       'CORS_ORIGINS': 'security.cors.allowedOrigins'
     };
@@ -132,7 +144,6 @@ export class ConfigManager {
   validate() {
     const required = [
       'server.port',
-      'blockchain.difficulty',
       'database.dataDir'
     ];
 
@@ -147,9 +158,182 @@ export class ConfigManager {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
 
+    // Consensus rules come only from the genesis spec; a node still setting
+    // them here would believe it runs rules the network does not
+    const stale = genesisOnlySettings.filter(path => this.get(path) !== undefined);
+    if (stale.length > 0) {
+      throw new Error(`${stale.join(', ')} ${stale.length > 1 ? 'are' : 'is'} no longer read from node configuration; set consensus parameters in the genesis file instead`);
+    }
+
     return true;
   }
 
+  // The network this node joins: devnet, testnet or mainnet
+  getNetworkProfile() {
+    const name = (this.isLoaded && this.get('network.profile')) || defaultConfig.network.profile;
+    const profile = networkProfiles[name];
+
+    if (!profile) {
+      throw new Error(`Unknown network profile "${name}"; expected one of ${Object.keys(networkProfiles).join(', ')}`);
+    }
+
+    return { name, ...profile };
+  }
+
+  // Load the genesis specification every node on the network must share.
+  // Its chain id must be the one the selected network profile expects. Only
+  // the profile's own file may be missing, in which case the built-in genesis
+  // is used; a configured file must be readable, and any file must parse.
+  async loadGenesis(filePath = undefined) {
+    const profile = this.getNetworkProfile();
+    const configured = filePath || (this.isLoaded && this.get('blockchain.genesisFile')) || null;
+    const genesisFile = path.resolve(configDir, configured || profile.genesisFile);
+
+    let data;
+    try {
+      data = await fs.readFile(genesisFile, 'utf8');
+    } catch (error) {
+      if (configured || error.code !== 'ENOENT') {
+        throw new Error(`Cannot read genesis file ${genesisFile}: ${error.message}`);
+      }
+      console.warn(`⚠️ No genesis file found at ${genesisFile}, using built-in genesis`);
+    }
+
+    let spec = {};
+    if (data !== undefined) {
+      try {
+        spec = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`Genesis file ${genesisFile} is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const genesis = this.validateGenesis({ ...defaultGenesis, ...spec });
+    if (genesis.chainId !== profile.chainId) {
+      throw new Error(`Genesis ${genesisFile} is for chain "${genesis.chainId}", but the ${profile.name} profile expects "${profile.chainId}"`);
+    }
+
+    this.genesis = genesis;
+    return this.genesis;
+  }
+
+  // PEM key this node seals authority blocks with, if it is a signer
+  async loadSignerKey() {
+    return await this.readKeyFile('consensus.signerKeyFile', 'consensus signer key');
+  }
+
+  // PEM key the mining pool is paid to and pays its miners from
+  async loadPoolKey() {
+    const key = await this.readKeyFile('pool.keyFile', 'pool key');
+    if (!key) {
+      throw new Error('Pool mode needs pool.keyFile (or POOL_KEY_FILE) pointing at a PEM private key');
+    }
+    return key;
+  }
+
+  async readKeyFile(setting, description) {
+    const keyFile = this.isLoaded && this.get(setting);
+    if (!keyFile) return null;
+
+    try {
+      return await fs.readFile(path.resolve(process.cwd(), keyFile), 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${description} ${keyFile}: ${error.message}`);
+    }
+  }
+
+  validateGenesis(spec) {
+    if (typeof spec.chainId !== 'string' || spec.chainId.length === 0) {
+      throw new Error('Genesis chainId must be a non-empty string');
+    }
+
+    if (!Number.isInteger(spec.timestamp) || spec.timestamp < 0) {
+      throw new Error('Genesis timestamp must be a fixed, non-negative integer');
+    }
+
+    // Bits are written as a hex string ("0x1f010000") in the spec file
+    if (typeof spec.bits === 'string') {
+      spec.bits = Number(spec.bits);
+    }
+
+    if (!Number.isInteger(spec.bits) || spec.bits <= 0 || spec.bits > 0xffffffff) {
+      throw new Error('Genesis bits must be a compact 32-bit target');
+    }
+
+    // Amounts are integer base units, written as strings to keep full precision
+    if (!Amount.isValid(spec.miningReward)) {
+      throw new Error('Genesis miningReward must be a non-negative integer of base units');
+    }
+
+    if (!Number.isInteger(spec.halvingInterval) || spec.halvingInterval < 1) {
+      throw new Error('Genesis halvingInterval must be a positive number of blocks');
+    }
+
+    if (!Amount.isValid(spec.maxSupply)) {
+      throw new Error('Genesis maxSupply must be a non-negative integer of base units');
+    }
+
+    spec.consensus = this.validateConsensusSpec(spec.consensus);
+
+    if (!Array.isArray(spec.allocations)) {
+      throw new Error('Genesis allocations must be an array');
+    }
+
+    let premine = 0n;
+    for (const allocation of spec.allocations) {
+      if (!allocation || typeof allocation.address !== 'string' ||
+          !Amount.isValid(allocation.amount) || Amount.from(allocation.amount) <= 0n) {
+        throw new Error('Each genesis allocation needs an address and a positive amount');
+      }
+      premine += Amount.from(allocation.amount);
+    }
+
+    if (premine > Amount.from(spec.maxSupply)) {
+      throw new Error('Genesis allocations exceed maxSupply');
+    }
+
+    return spec;
+  }
+
+  // Which consensus engine the network runs, and its network-wide parameters.
+  // Returns the spec with defaults filled in for parameters it leaves out.
+  validateConsensusSpec(consensus) {
+    if (!consensus || typeof consensus !== 'object') {
+      throw new Error('Genesis consensus must be an object with an engine');
+    }
+
+    if (consensus.engine !== 'pow' && consensus.engine !== 'poa') {
+      throw new Error(`Genesis consensus engine must be "pow" or "poa", got "${consensus.engine}"`);
+    }
+
+    const defaults = {
+      ...defaultConsensus.common,
+      ...(consensus.engine === 'pow' ? defaultConsensus.pow : {})
+    };
+    const spec = { ...defaults, ...consensus };
+
+    for (const name of Object.keys(defaults)) {
+      if (!Number.isSafeInteger(spec[name]) || spec[name] < 1) {
+        throw new Error(`Genesis consensus ${name} must be a positive integer`);
+      }
+    }
+
+    if (consensus.engine === 'pow') {
+      return spec;
+    }
+
+    if (!Array.isArray(consensus.signers) || consensus.signers.length === 0 ||
+        !consensus.signers.every(signer => CryptoUtils.validateAddress(signer))) {
+      throw new Error('Proof-of-authority genesis needs a non-empty list of signer addresses');
+    }
+
+    if (!Number.isInteger(consensus.period) || consensus.period < 1) {
+      throw new Error('Proof-of-authority period must be a positive number of milliseconds');
+    }
+
+    return spec;
+  }
+
   async reload(environment = process.env.NODE_ENV || 'development') {
     this.isLoaded = false;
     return await this.load(environment);
@@ -189,18 +373,43 @@ export const defaultConfig = {
     }
   },
   blockchain: {
-    difficulty: 4,
-    miningReward: 10,
-    maxTransactionsPerBlock: 10000,
-    blockTime: 2500
+    decimals: 8,
+    maxFutureBlockTime: 120000,
+    hashRateBlocks: 120,
+    genesisFile: null // Relative to the config directory; defaults to the network profile's genesis
+  },
+  consensus: {
+    signerKeyFile: null
+  },
+  pool: {
+    enabled: false,
+    port: 3333,
+    keyFile: null, // PEM key the pool is paid to and pays out from
+    fee: 1, // Percent of each block reward kept by the pool
+    minDifficulty: 1,
+    shareTime: 10000, // Target ms between shares from each worker
+    retargetInterval: 30000,
+    pplnsWindow: 2, // Shares counted for a block, as a multiple of network difficulty
+    confirmations: 10, // Blocks before a found block's credits can be paid
+    payoutInterval: 600000,
+    minPayout: '100000000',
+    jobRefreshInterval: 30000
+  },
+  mempool: {
+    maxTransactions: 5000,
+    maxBytes: 5000000,
+    maxAge: 10800000,
+    minRelayFeeRate: 1000
   },
   database: {
     dataDir: './data',
+    format: 'binary', // Block storage: 'binary' or 'json'
     backupInterval: 3600000,
     maxBackups: 10,
     compactInterval: 86400000
   },
   network: {
+    profile: 'devnet',
     port: 6001,
     maxPeers: 50,
     heartbeatInterval: 30000
@@ -216,3 +425,49 @@ export const defaultConfig = {
     healthCheckInterval: 30000
   }
 };
+
+// Node settings that used to pick consensus parameters, now set only in the genesis spec
+const genesisOnlySettings = [
+  'blockchain.difficulty',
+  'blockchain.miningReward',
+  'blockchain.maxTransactionsPerBlock',
+  'blockchain.blockTime',
+  'blockchain.retargetInterval',
+  'blockchain.maxAdjustmentFactor',
+  'blockchain.medianTimeSpan'
+];
+
+// Networks a node can join. Each has its own chain id, which every
+// transaction signs over and every peer announces in its handshake, so
+// nodes and transactions from one network are refused by the others.
+export const networkProfiles = {
+  devnet: { chainId: 'keeta-devnet', genesisFile: 'genesis.json' },
+  testnet: { chainId: 'keeta-testnet', genesisFile: 'genesis.testnet.json' },
+  mainnet: { chainId: 'keeta-mainnet', genesisFile: 'genesis.mainnet.json' }
+};
+
+// Consensus parameters a genesis spec may leave out. Every node on a network
+// must agree on them, so they live in the genesis spec rather than node config.
+export const defaultConsensus = {
+  common: {
+    maxTransactionsPerBlock: 10000,
+    medianTimeSpan: 11 // Blocks whose median timestamp a new block must exceed
+  },
+  pow: {
+    blockTime: 2500, // Target block time in ms that difficulty retargets toward
+    retargetInterval: 10, // Blocks between retargets
+    maxAdjustmentFactor: 4 // Largest change in expected work per retarget
+  }
+};
+
+// Genesis used when no genesis file is present
+export const defaultGenesis = {
+  chainId: 'keeta-devnet',
+  timestamp: 1735689600000,
+  bits: 0x1f010000, // Four leading zero hex digits
+  miningReward: '1000000000', // Initial block reward, halved every halvingInterval blocks
+  halvingInterval: 210000,
+  maxSupply: '2100000000000000', // 21 million coins at 8 decimals
+  consensus: { engine: 'pow', ...defaultConsensus.common, ...defaultConsensus.pow },
+  allocations: []
+};
@@ -1,16 +1,35 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { createHash } from 'crypto';
+import { Codec } from '../core/codec.js';
+
+// Binary block files: magic, SHA-256 of the body, then Codec.encodeBlocks(chain)
+const BLOCK_FILE_MAGIC = Buffer.from('KBLK');
 
 export class DatabaseManager {
   constructor(dataDir = './data') {
     this.dataDir = dataDir;
+    this.format = 'binary'; // How blocks are written: 'binary' or 'json'
     this.blocksFile = path.join(dataDir, 'blocks.json');
+    this.blocksBinaryFile = path.join(dataDir, 'blocks.bin');
     this.pendingFile = path.join(dataDir, 'pending.json');
     this.configFile = path.join(dataDir, 'config.json');
+    this.poolFile = path.join(dataDir, 'pool.json');
     this.backupDir = path.join(dataDir, 'backups');
   }
 
+  configure({ format = this.format } = {}) {
+    if (format !== 'binary' && format !== 'json') {
+      throw new Error(`Unknown block storage format "${format}"; expected "binary" or "json"`);
+    }
+    this.format = format;
+  }
+
+  // Block file for a storage format
+  getBlocksFile(format = this.format) {
+    return format === 'binary' ? this.blocksBinaryFile : this.blocksFile;
+  }
+
   // Initialize database directory structure
   async initialize() {
     try {
@@ -18,7 +37,6 @@ export class DatabaseManager {
       await fs.mkdir(this.backupDir, { recursive: true });
       
       // Create initial files if they don't exist
-      await this.ensureFile(this.blocksFile, '[]');
       await this.ensureFile(this.pendingFile, '[]');
       await this.ensureFile(this.configFile, '{}');
       
@@ -38,51 +56,56 @@ export class DatabaseManager {
     }
   }
 
-  // Save blockchain data
+  // Save blockchain data in the configured format
   async saveBlockchain(chain) {
     try {
-      const data = {
-        version: '1.0',
-        timestamp: Date.now(),
-        hash: this.calculateDataHash(chain),
-        chain: chain
-      };
+      const blocksFile = this.getBlocksFile();
 
       // Create backup before saving
-      await this.createBackup(this.blocksFile);
+      await this.createBackup(blocksFile);
       
-      await fs.writeFile(this.blocksFile, JSON.stringify(data, null, 2));
+      await fs.writeFile(blocksFile, this.encodeBlocksFile(chain, this.format));
       console.log(`💾 Saved blockchain with ${chain.length} blocks`);
+
+      // The file in the other format is now stale; keep it only as a backup
+      const staleFile = this.getBlocksFile(this.format === 'binary' ? 'json' : 'binary');
+      if (await this.exists(staleFile)) {
+        await this.createBackup(staleFile);
+        await fs.unlink(staleFile);
+      }
     } catch (error) {
       console.error('❌ Failed to save blockchain:', error);
       throw error;
     }
   }
 
-  // Load blockchain data
+  // Load blockchain data from whichever format is on disk, preferring the
+  // configured one, so switching formats migrates on the next save
   async loadBlockchain() {
+    const other = this.format === 'binary' ? 'json' : 'binary';
+    const format = (await this.exists(this.getBlocksFile())) ? this.format : other;
+    const blocksFile = this.getBlocksFile(format);
+
     try {
-      const data = await fs.readFile(this.blocksFile, 'utf8');
-      const parsed = JSON.parse(data);
+      const chain = this.decodeBlocksFile(await fs.readFile(blocksFile), format);
       
-      // Verify data integrity
-      if (parsed.chain && Array.isArray(parsed.chain)) {
-        const currentHash = this.calculateDataHash(parsed.chain);
-        if (parsed.hash && currentHash !== parsed.hash) {
-          throw new Error('Blockchain data integrity check failed');
-        }
-        
-        console.log(`📖 Loaded blockchain with ${parsed.chain.length} blocks`);
-        return parsed.chain;
+      if (chain) {
+        console.log(`📖 Loaded blockchain with ${chain.length} blocks`);
+        return chain;
       } else {
         console.log('📝 No valid blockchain data found, starting fresh');
         return [];
       }
     } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log('📝 No valid blockchain data found, starting fresh');
+        return [];
+      }
+
       console.error('❌ Failed to load blockchain:', error);
       
       // Try to load from backup
-      const backup = await this.loadFromBackup(this.blocksFile);
+      const backup = await this.loadFromBackup(blocksFile);
       if (backup) {
         console.log('🔄 Restored from backup');
         return backup;
@@ -94,6 +117,57 @@ export class DatabaseManager {
     }
   }
 
+  encodeBlocksFile(chain, format) {
+    if (format === 'binary') {
+      const body = Codec.encodeBlocks(chain);
+      return Buffer.concat([BLOCK_FILE_MAGIC, createHash('sha256').update(body).digest(), body]);
+    }
+
+    return JSON.stringify({
+      version: '1.0',
+      timestamp: Date.now(),
+      hash: this.calculateDataHash(chain),
+      chain: chain
+    }, null, 2);
+  }
+
+  // Plain block objects from a block file, or null if it holds no chain.
+  // Both formats carry a checksum that must match.
+  decodeBlocksFile(data, format) {
+    if (format === 'binary') {
+      if (!data.subarray(0, 4).equals(BLOCK_FILE_MAGIC)) {
+        throw new Error('Not a binary block file');
+      }
+
+      const body = data.subarray(36);
+      if (!createHash('sha256').update(body).digest().equals(data.subarray(4, 36))) {
+        throw new Error('Blockchain data integrity check failed');
+      }
+
+      return Codec.decodeBlocks(body);
+    }
+
+    const parsed = JSON.parse(data.toString('utf8'));
+    if (!parsed.chain || !Array.isArray(parsed.chain)) {
+      return null;
+    }
+
+    if (parsed.hash && this.calculateDataHash(parsed.chain) !== parsed.hash) {
+      throw new Error('Blockchain data integrity check failed');
+    }
+
+    return parsed.chain;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   // Save pending transactions
   async savePendingTransactions(pendingTransactions) {
     try {
@@ -123,6 +197,35 @@ export class DatabaseManager {
     }
   }
 
+  // Save mining pool accounting (shares, credits, payouts)
+  async savePoolState(state) {
+    try {
+      const data = {
+        version: '1.0',
+        timestamp: Date.now(),
+        state
+      };
+
+      await fs.writeFile(this.poolFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('❌ Failed to save pool state:', error);
+      throw error;
+    }
+  }
+
+  // Load mining pool accounting, or null before the pool has saved any
+  async loadPoolState() {
+    if (!(await this.exists(this.poolFile))) return null;
+
+    try {
+      const data = await fs.readFile(this.poolFile, 'utf8');
+      return JSON.parse(data).state || null;
+    } catch (error) {
+      console.error('❌ Failed to load pool state:', error);
+      return null;
+    }
+  }
+
   // Save configuration
   async saveConfig(config) {
     try {
@@ -153,16 +256,18 @@ export class DatabaseManager {
 
   // Create backup of a file
   async createBackup(filePath) {
+    if (!(await this.exists(filePath))) return;
+
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = path.basename(filePath, '.json');
-      const backupPath = path.join(this.backupDir, `${fileName}-${timestamp}.json`);
+      const { name: fileName, ext } = path.parse(filePath);
+      const backupPath = path.join(this.backupDir, `${fileName}-${timestamp}${ext}`);
       
       const data = await fs.readFile(filePath);
       await fs.writeFile(backupPath, data);
       
       // Clean old backups (keep last 10)
-      await this.cleanOldBackups(fileName);
+      await this.cleanOldBackups(fileName, ext);
       
       console.log(`💾 Created backup: ${backupPath}`);
     } catch (error) {
@@ -173,18 +278,23 @@ export class DatabaseManager {
   // Load from latest backup
   async loadFromBackup(filePath) {
     try {
-      const fileName = path.basename(filePath, '.json');
+      const { name: fileName, ext } = path.parse(filePath);
       const backupFiles = await fs.readdir(this.backupDir);
       
       const fileBackups = backupFiles
-        .filter(file => file.startsWith(fileName) && file.endsWith('.json'))
+        .filter(file => file.startsWith(fileName) && file.endsWith(ext))
         .sort()
         .reverse();
 
       if (fileBackups.length > 0) {
         const latestBackup = path.join(this.backupDir, fileBackups[0]);
-        const data = await fs.readFile(latestBackup, 'utf8');
-        const parsed = JSON.parse(data);
+        const data = await fs.readFile(latestBackup);
+
+        if (ext === '.bin') {
+          return this.decodeBlocksFile(data, 'binary');
+        }
+
+        const parsed = JSON.parse(data.toString('utf8'));
         return parsed.chain || parsed.transactions || [];
       }
     } catch (error) {
@@ -195,12 +305,12 @@ export class DatabaseManager {
   }
 
   // Clean old backup files
-  async cleanOldBackups(fileName, keepCount = 10) {
+  async cleanOldBackups(fileName, ext = '.json', keepCount = 10) {
     try {
       const backupFiles = await fs.readdir(this.backupDir);
       
       const fileBackups = backupFiles
-        .filter(file => file.startsWith(fileName) && file.endsWith('.json'))
+        .filter(file => file.startsWith(fileName) && file.endsWith(ext))
         .sort()
         .reverse();
 
@@ -228,16 +338,18 @@ export class DatabaseManager {
   // Get database statistics
   async getStats() {
     try {
-      const blocksData = await fs.readFile(this.blocksFile, 'utf8');
+      const chain = await this.loadBlockchain();
       const pendingData = await fs.readFile(this.pendingFile, 'utf8');
-      
-      const blocks = JSON.parse(blocksData);
       const pending = JSON.parse(pendingData);
+
+      const blocksFile = this.getBlocksFile();
+      const lastSaved = (await this.exists(blocksFile)) ? (await fs.stat(blocksFile)).mtimeMs : 0;
       
       const stats = {
-        blocksCount: blocks.chain ? blocks.chain.length : 0,
+        format: this.format,
+        blocksCount: chain.length,
         pendingCount: pending.transactions ? pending.transactions.length : 0,
-        lastSaved: blocks.timestamp || 0,
+        lastSaved: Math.floor(lastSaved),
         backupCount: (await fs.readdir(this.backupDir)).length,
         dataDirSize: await this.getDirectorySize(this.dataDir)
       };
@@ -278,7 +390,7 @@ export class DatabaseManager {
       console.log('🔧 Starting database compaction...');
       
       // Create full backup before compaction
-      await this.createBackup(this.blocksFile);
+      await this.createBackup(this.getBlocksFile());
       await this.createBackup(this.pendingFile);
       
       // Reload and resave data to optimize
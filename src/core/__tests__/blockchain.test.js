@@ -0,0 +1,199 @@
+import { CryptoUtils } from '../crypto.js';
+import { POW_LIMIT_BITS, getWork } from '../difficulty.js';
+import { Block, Blockchain, Transaction } from '../blockchain.js';
+import { ProofOfWorkEngine } from '../consensus.js';
+import { defaultGenesis } from '../../config/config.js';
+
+const newAccount = () => {
+  const { privateKey } = CryptoUtils.generateKeyPair();
+  return { key: privateKey, address: CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(privateKey)) };
+};
+
+function signed(from, to, amount, nonce, fee = 0n, chainId = defaultGenesis.chainId) {
+  const tx = new Transaction(from.address, to.address, amount, {}, nonce, fee, chainId);
+  tx.signTransaction(from.key);
+  return tx;
+}
+
+// A chain on the easiest target, so blocks take a few hundred hashes
+function newChain() {
+  const blockchain = new Blockchain();
+  blockchain.applyGenesis({ ...defaultGenesis, bits: POW_LIMIT_BITS });
+  blockchain.resetChain([blockchain.createGenesisBlock()]);
+  return blockchain;
+}
+
+// Rehash the header and grind it back under its target
+async function mine(blockchain, block) {
+  block.hash = block.calculateHash();
+  await blockchain.sealBlock(block);
+}
+
+// The next block on `blockchain`'s tip, a second after it, carrying
+// `transactions` and a reward to `address`. `tamper` runs before it is mined.
+async function nextBlock(blockchain, address, transactions = [], tamper = () => {}) {
+  const tip = blockchain.getLatestBlock();
+  const reward = blockchain.createRewardTransaction(address, transactions);
+  const block = new Block(tip.index + 1, [...transactions, reward], tip.hash, tip.timestamp + 1000, blockchain.bits);
+  tamper(block);
+  block.merkleRoot = Block.calculateMerkleRoot(block.transactions);
+  await mine(blockchain, block);
+  return block;
+}
+
+// `blockchain`'s chain with `count` more blocks paying `address`
+async function extend(blockchain, count, address) {
+  const branch = newChain();
+  branch.resetChain([...blockchain.chain]);
+  for (let i = 0; i < count; i++) {
+    branch.connectBlock(await nextBlock(branch, address));
+  }
+  return branch.chain;
+}
+
+const alice = newAccount();
+const bob = newAccount();
+
+describe('Blockchain.validateBlock', () => {
+  let blockchain;
+
+  beforeEach(async () => {
+    blockchain = newChain();
+    blockchain.resetChain(await extend(blockchain, 2, alice.address));
+  });
+
+  const codeOf = block => blockchain.validateBlock(block)?.code ?? null;
+
+  test('accepts a well-formed block', async () => {
+    expect(codeOf(await nextBlock(blockchain, bob.address, [signed(alice, bob, 10n, 0, 5n)]))).toBeNull();
+  });
+
+  test('rejects blocks that do not extend the tip', async () => {
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.index++; }))).toBe('bad-index');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.previousHash = 'ab'.repeat(32); }))).toBe('bad-prevblk');
+  });
+
+  test('rejects bad headers', async () => {
+    const block = await nextBlock(blockchain, bob.address);
+    block.nonce++;
+    expect(codeOf(block)).toBe('bad-hash');
+
+    const unrooted = await nextBlock(blockchain, bob.address);
+    unrooted.merkleRoot = 'ab'.repeat(32);
+    await mine(blockchain, unrooted);
+    expect(codeOf(unrooted)).toBe('bad-merkle-root');
+
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.bits = 0x1f7fffff; }))).toBe('bad-bits');
+
+    const unworked = await nextBlock(blockchain, bob.address);
+    while (ProofOfWorkEngine.meetsTarget(unworked)) {
+      unworked.nonce++;
+      unworked.hash = unworked.calculateHash();
+    }
+    expect(codeOf(unworked)).toBe('bad-pow');
+  });
+
+  test('rejects timestamps at or before the median of recent blocks, or far ahead', async () => {
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.timestamp = blockchain.chain[1].timestamp; }))).toBe('time-too-old');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.timestamp = Date.now() + 3600000; }))).toBe('time-too-new');
+  });
+
+  test('rejects a missing, doubled or overpaying reward', async () => {
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => { block.transactions.pop(); }))).toBe('bad-coinbase-count');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => {
+      block.transactions.push(blockchain.createRewardTransaction(alice.address, []));
+    }))).toBe('bad-coinbase-count');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [], block => {
+      const reward = block.transactions[0];
+      reward.amount += 1n;
+      reward.id = reward.calculateHash();
+    }))).toBe('bad-coinbase-amount');
+  });
+
+  test('rejects invalid, foreign, repeated, out-of-order and overspending transactions', async () => {
+    const forged = signed(alice, bob, 10n, 0);
+    forged.amount = 20n;
+    forged.id = forged.calculateHash();
+    expect(codeOf(await nextBlock(blockchain, bob.address, [forged]))).toBe('bad-txns-invalid');
+
+    expect(codeOf(await nextBlock(blockchain, bob.address, [signed(alice, bob, 10n, 0, 0n, 'other-chain')]))).toBe('bad-txns-chain');
+
+    const spend = signed(alice, bob, 10n, 0);
+    expect(codeOf(await nextBlock(blockchain, bob.address, [spend, spend]))).toBe('bad-txns-duplicate');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [signed(alice, bob, 10n, 1)]))).toBe('bad-txns-nonce');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [signed(alice, bob, 3n * blockchain.getBlockReward(1), 0)]))).toBe('bad-txns-overspend');
+  });
+
+  test('rejects a cross-chain transfer paying less than its bridge fee', async () => {
+    const transfer = fee => {
+      const tx = blockchain.createCrossChainTransaction(blockchain.chainId, 'other-chain', alice.address, bob.address, 10000n, {}, 0, fee);
+      tx.signTransaction(alice.key);
+      return tx;
+    };
+
+    expect(codeOf(await nextBlock(blockchain, bob.address, [transfer(9n)]))).toBe('bad-txns-bridge-fee');
+    expect(codeOf(await nextBlock(blockchain, bob.address, [transfer(10n)]))).toBeNull();
+  });
+});
+
+describe('Blockchain.reorganize', () => {
+  let blockchain;
+
+  beforeEach(async () => {
+    blockchain = newChain();
+    blockchain.resetChain(await extend(blockchain, 2, alice.address));
+  });
+
+  test('adopts a branch with more work and re-indexes the state', async () => {
+    const candidate = await extend(newChain(), 3, bob.address);
+
+    await expect(blockchain.reorganize(candidate)).resolves.toBe(true);
+    expect(blockchain.getLatestBlock().hash).toBe(candidate[3].hash);
+    expect(blockchain.getBalance(alice.address)).toBe(0n);
+    expect(blockchain.getBalance(bob.address)).toBe(3n * blockchain.getBlockReward(1));
+    expect(blockchain.reorgHistory[0]).toMatchObject({ depth: 2, forkHeight: 0, connectedBlocks: 3 });
+  });
+
+  test('keeps its chain against a branch with no more work', async () => {
+    const tip = blockchain.getLatestBlock().hash;
+
+    await expect(blockchain.reorganize(await extend(newChain(), 2, bob.address))).resolves.toBe(false);
+    expect(blockchain.getLatestBlock().hash).toBe(tip);
+  });
+
+  test('restores the original branch when a candidate block is invalid', async () => {
+    const tip = blockchain.getLatestBlock().hash;
+    const candidate = await extend(newChain(), 3, bob.address);
+    candidate[3].nonce++;
+
+    await expect(blockchain.reorganize(candidate)).rejects.toThrow('Reorganisation rejected');
+    expect(blockchain.getLatestBlock().hash).toBe(tip);
+    expect(blockchain.getBalance(alice.address)).toBe(2n * blockchain.getBlockReward(1));
+    expect(blockchain.getBalance(bob.address)).toBe(0n);
+  });
+
+  test('refuses a chain from another genesis', async () => {
+    const candidate = await extend(newChain(), 3, bob.address);
+    candidate[0] = { ...candidate[0], hash: 'f'.repeat(64) };
+
+    await expect(blockchain.reorganize(candidate)).rejects.toThrow('different genesis');
+  });
+});
+
+describe('Blockchain.getNetworkHashRate', () => {
+  test('divides the work of recent blocks by the time they took', async () => {
+    const blockchain = newChain();
+    blockchain.resetChain(await extend(blockchain, 3, alice.address));
+
+    // Blocks 2 and 3 took two seconds for two blocks' worth of work
+    expect(blockchain.getNetworkHashRate()).toBe(Number(getWork(POW_LIMIT_BITS)));
+    expect(blockchain.getNetworkHashRate(1)).toBe(Number(getWork(POW_LIMIT_BITS)));
+  });
+
+  test('is zero until there are two blocks past genesis', async () => {
+    const blockchain = newChain();
+    blockchain.resetChain(await extend(blockchain, 1, alice.address));
+
+    expect(blockchain.getNetworkHashRate()).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { Canonical } from '../canonical.js';
+import { CryptoUtils } from '../crypto.js';
+import { Block, Transaction } from '../blockchain.js';
+
+// The test vectors published under "Canonical Encoding" in the README
+
+// Ed25519 key whose 32-byte seed is 0x01 repeated
+const PKCS8_ED25519_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const signingKey = crypto.createPrivateKey({
+  key: Buffer.concat([PKCS8_ED25519_PREFIX, Buffer.alloc(32, 1)]),
+  format: 'der',
+  type: 'pkcs8'
+});
+const sender = 'K003d4c030534b1c1c6a5238bf5932d7e4b97aad59bd85e3599';
+const recipient = 'K006d316a1e63aebb2dfdf9134d3927e04812b91b0e7b3e418a';
+
+function vectorTransaction() {
+  const tx = new Transaction(sender, recipient, 150000000n, { memo: 'hi' }, 0, 1000n, 'keeta-devnet');
+  tx.timestamp = 1735689600000;
+  tx.id = tx.calculateHash();
+  tx.signTransaction(signingKey);
+  return tx;
+}
+
+describe('Canonical.stringify', () => {
+  const value = { b: 2, a: [1, 'x', null, true], c: { z: 1.5, y: 1e21, 'é': 'é', B: -0 }, d: undefined, big: 10n };
+
+  test('sorts keys, drops undefined and writes numbers and BigInts canonically', () => {
+    expect(Canonical.stringify(value)).toBe('{"a":[1,"x",null,true],"b":2,"big":"10","c":{"B":0,"y":1e+21,"z":1.5,"é":"é"}}');
+  });
+
+  test('hashes to the published digest', () => {
+    expect(CryptoUtils.createHash(value)).toBe('1901efaef61771423dfeb65f67c138e6559f1a3cecd9ceca3a0f42bbc3487c4b');
+  });
+
+  test('refuses values JSON cannot carry exactly', () => {
+    expect(() => Canonical.stringify(NaN)).toThrow();
+    expect(() => Canonical.stringify(Infinity)).toThrow();
+    expect(() => Canonical.stringify(() => {})).toThrow();
+  });
+});
+
+describe('transaction vector', () => {
+  const tx = vectorTransaction();
+
+  test('derives the sender address from the key', () => {
+    expect(CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(signingKey))).toBe(sender);
+  });
+
+  test('encodes the payload canonically', () => {
+    expect(Canonical.stringify(Canonical.transactionPayload(tx))).toBe(
+      '{"amount":"150000000","chainId":"keeta-devnet","data":{"memo":"hi"},"fee":"1000","fromAddress":"K003d4c030534b1c1c6a5238bf5932d7e4b97aad59bd85e3599","nonce":0,"timestamp":1735689600000,"toAddress":"K006d316a1e63aebb2dfdf9134d3927e04812b91b0e7b3e418a"}'
+    );
+  });
+
+  test('has the published id and signature', () => {
+    expect(tx.id).toBe('05f05e1827f03a06a4f485db65b295b1a3dc318f87e426d19499c3d9f37c0382');
+    expect(tx.signature).toBe('c1792ce963521ee65604606b922bfd9b41bb6313e600151d7e2aca2e2814a944cc903f28cc438a373f3785c89deb79bcda2418606234c75743866b0b308e450a');
+    expect(tx.isValid()).toBe(true);
+  });
+});
+
+describe('block vector', () => {
+  const block = new Block(1, [vectorTransaction()], '0'.repeat(64), 1735689700000, 520159232);
+
+  test('has the published Merkle leaf', () => {
+    expect(Transaction.leafHash(block.transactions[0])).toBe('4974debbc071426859c31968a3334a63278bbc4b5cd62f9d9ba80f6d4bdf9903');
+  });
+
+  test('encodes the header canonically', () => {
+    expect(Canonical.stringify(Canonical.blockHeader(block))).toBe(
+      '{"bits":520159232,"index":1,"merkleRoot":"5efebff7f8c2db7c0cc9df0da5cfaa434164c0121720f102be638e38db37539c","nonce":0,"previousHash":"0000000000000000000000000000000000000000000000000000000000000000","timestamp":1735689700000}'
+    );
+  });
+
+  test('has the published hash', () => {
+    expect(block.hash).toBe('1dcc257347380773e2e842b6d8ec8b8f1f96598908f19f8181af5e2fef95314f');
+  });
+});
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { Codec } from '../codec.js';
+import { CryptoUtils } from '../crypto.js';
+import { AccountState } from '../state.js';
+import { Mempool } from '../mempool.js';
+import { Block, Blockchain, Transaction } from '../blockchain.js';
+
+const CHAIN_ID = 'keeta-devnet';
+
+const newAccount = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return { key: privateKey, address: CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(privateKey)) };
+};
+
+const alice = newAccount();
+const bob = newAccount();
+
+function signedTransaction(overrides = {}) {
+  const tx = new Transaction(alice.address, bob.address, 150000000n, { memo: 'hi', nested: { list: [1, 'é'] } }, 3, 1000n, CHAIN_ID);
+  Object.assign(tx, overrides);
+  tx.id = tx.calculateHash();
+  tx.signTransaction(alice.key);
+  return tx;
+}
+
+function sampleBlock() {
+  const reward = new Transaction(null, alice.address, 1000001000n, {}, 7, 0n, CHAIN_ID);
+  const block = new Block(7, [signedTransaction(), reward], 'ab'.repeat(32), 1735689700000, 0x1f010000);
+  block.nonce = 123456789;
+  block.hash = block.calculateHash();
+  return block;
+}
+
+// What JSON relay would deliver, which the codec must reproduce exactly
+const viaJSON = value => JSON.parse(JSON.stringify(value));
+
+describe('Codec round trips', () => {
+  test('headers', () => {
+    const block = sampleBlock();
+    expect(Codec.decodeHeader(Codec.encodeHeader(block))).toEqual(viaJSON(block.getHeader()));
+  });
+
+  test('signed and reward transactions', () => {
+    const [signed, reward] = sampleBlock().transactions;
+
+    for (const tx of [signed, reward]) {
+      const decoded = Codec.decodeTransaction(Codec.encodeTransaction(tx));
+      expect(decoded).toEqual(viaJSON(tx));
+      expect(Transaction.fromJSON(decoded).isValid()).toBe(true);
+    }
+  });
+
+  test('blocks, with and without an authority seal', () => {
+    const block = sampleBlock();
+    const sealed = sampleBlock();
+    sealed.seal = { signer: alice.address, publicKey: CryptoUtils.getPublicKeyPem(alice.key), signature: 'cd'.repeat(64) };
+
+    for (const original of [block, sealed]) {
+      const decoded = Codec.decodeBlock(Codec.encodeBlock(original));
+      expect(decoded).toEqual({ ...viaJSON(original), seal: original.seal ?? null });
+      expect(Block.fromJSON(decoded).hash).toBe(original.hash);
+    }
+  });
+
+  test('runs of blocks', () => {
+    const blocks = [sampleBlock(), sampleBlock()];
+    expect(Codec.decodeBlocks(Codec.encodeBlocks(blocks))).toHaveLength(2);
+  });
+
+  test('texts that only look like hex, addresses or keys', () => {
+    const tx = signedTransaction({ chainId: 'K' });
+    expect(Codec.decodeTransaction(Codec.encodeTransaction(tx)).chainId).toBe('K');
+  });
+});
+
+describe('Codec errors', () => {
+  test('refuses to encode non-integers', () => {
+    const block = sampleBlock();
+    block.timestamp = 1.5;
+    expect(() => Codec.encodeHeader(block)).toThrow('Cannot encode 1.5 as an integer');
+  });
+
+  test('refuses other versions and trailing bytes', () => {
+    const encoded = Codec.encodeBlock(sampleBlock());
+    expect(() => Codec.decodeBlock(Buffer.concat([Buffer.from([Codec.VERSION + 1]), encoded.subarray(1)]))).toThrow('Unsupported');
+    expect(() => Codec.decodeBlock(Buffer.concat([encoded, Buffer.from([0])]))).toThrow();
+  });
+});
+
+// Consensus must refuse anything the codec cannot carry, or one such
+// transaction would stop the chain from ever being stored or relayed again
+describe('integer fields under consensus', () => {
+  test('transactions with fractional or negative nonces and timestamps are invalid', () => {
+    expect(signedTransaction({ timestamp: 1.5 }).isValid()).toBe(false);
+    expect(signedTransaction({ timestamp: -1 }).isValid()).toBe(false);
+    expect(signedTransaction({ nonce: 0.5 }).isValid()).toBe(false);
+  });
+
+  test('the mempool refuses them', () => {
+    const state = new AccountState();
+    state.applyBlock(new Block(0, [new Transaction(null, alice.address, 10n ** 12n, {}, 0, 0n, CHAIN_ID)], '0'.repeat(64), 0));
+    const mempool = new Mempool(state, { chainId: CHAIN_ID, minRelayFeeRate: 0 });
+
+    expect(() => mempool.add(signedTransaction({ nonce: 0, timestamp: 1.5 }))).toThrow('timestamp must be a non-negative integer');
+  });
+
+  test('blocks with fractional header fields are rejected before anything else', () => {
+    const blockchain = new Blockchain();
+    blockchain.resetChain([blockchain.createGenesisBlock()]);
+
+    for (const field of ['timestamp', 'bits', 'nonce']) {
+      const block = blockchain.coordinator.buildTemplate(alice.address);
+      block[field] += 0.5;
+      block.hash = block.calculateHash();
+      expect(blockchain.validateBlock(block)).toMatchObject({ code: 'bad-structure' });
+    }
+  });
+
+  test('blocks carrying such a transaction are rejected', async () => {
+    const blockchain = new Blockchain();
+    blockchain.resetChain([blockchain.createGenesisBlock()]);
+
+    const block = blockchain.coordinator.buildTemplate(alice.address);
+    const [reward] = block.transactions;
+    reward.timestamp = 1.5;
+    reward.id = reward.calculateHash();
+    block.merkleRoot = Block.calculateMerkleRoot(block.transactions);
+    block.hash = block.calculateHash();
+    await blockchain.sealBlock(block);
+    expect(blockchain.validateBlock(block)).toMatchObject({ code: 'bad-txns-invalid' });
+  });
+});
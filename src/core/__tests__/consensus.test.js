@@ -0,0 +1,105 @@
+import { CryptoUtils } from '../crypto.js';
+import { Block } from '../blockchain.js';
+import { POW_LIMIT_BITS } from '../difficulty.js';
+import { createConsensusEngine, ProofOfWorkEngine, ProofOfAuthorityEngine } from '../consensus.js';
+
+const newSigner = () => {
+  const { privateKey } = CryptoUtils.generateKeyPair();
+  return { key: privateKey, address: CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(privateKey)) };
+};
+
+describe('createConsensusEngine', () => {
+  test('takes retarget parameters from the genesis spec', () => {
+    const engine = createConsensusEngine({ engine: 'pow', blockTime: 60000, retargetInterval: 5, maxAdjustmentFactor: 2 });
+
+    expect(engine).toBeInstanceOf(ProofOfWorkEngine);
+    expect(engine.difficultyAdjuster.blockTime).toBe(60000);
+    expect(engine.difficultyAdjuster.retargetInterval).toBe(5);
+    expect(engine.difficultyAdjuster.maxAdjustmentFactor).toBe(2);
+  });
+
+  test('refuses unknown engines', () => {
+    expect(() => createConsensusEngine({ engine: 'pos' })).toThrow('Unknown consensus engine');
+  });
+});
+
+describe('ProofOfWorkEngine', () => {
+  const engine = new ProofOfWorkEngine({ retargetInterval: 1000 });
+  const genesis = { index: 0, timestamp: 0, bits: POW_LIMIT_BITS, hash: '0'.repeat(64) };
+
+  test('seals a block that verifies', async () => {
+    const block = new Block(1, [], genesis.hash, 1, POW_LIMIT_BITS);
+    await engine.sealBlock(block, [genesis]);
+
+    expect(engine.verifySeal(block, [genesis])).toBeNull();
+  });
+
+  test('rejects wrong bits and unmet targets', async () => {
+    const wrongBits = new Block(1, [], genesis.hash, 1, 0x1f010000);
+    expect(engine.verifySeal(wrongBits, [genesis]).code).toBe('bad-bits');
+
+    const block = new Block(1, [], genesis.hash, 1, POW_LIMIT_BITS);
+    await engine.sealBlock(block, [genesis]);
+    while (ProofOfWorkEngine.meetsTarget(block)) {
+      block.nonce++;
+      block.hash = block.calculateHash();
+    }
+    expect(engine.verifySeal(block, [genesis]).code).toBe('bad-pow');
+  });
+
+  test('stops sealing when aborted', async () => {
+    const block = new Block(1, [], genesis.hash, 1, 0x1d00ffff);
+    const controller = new AbortController();
+    controller.abort(new Error('stop'));
+
+    await expect(engine.sealBlock(block, [genesis], { threads: 1, signal: controller.signal })).rejects.toThrow('stop');
+  });
+});
+
+describe('ProofOfAuthorityEngine', () => {
+  const alice = newSigner();
+  const bob = newSigner();
+  const signers = [alice.address, bob.address];
+  const genesis = { index: 0, timestamp: 0, bits: 0, hash: '0'.repeat(64) };
+
+  const seal = async (signer, chain) => {
+    const engine = new ProofOfAuthorityEngine({ signers, period: 1, signerKey: signer.key });
+    const parent = chain[chain.length - 1];
+    const block = new Block(chain.length, [], parent.hash, parent.timestamp + 1, 0);
+    await engine.sealBlock(block, chain);
+    return block;
+  };
+
+  test('seals blocks any signer can verify', async () => {
+    const block = await seal(alice, [genesis]);
+    const verifier = new ProofOfAuthorityEngine({ signers, period: 1 });
+
+    expect(block.seal.signer).toBe(alice.address);
+    expect(verifier.verifySeal(block, [genesis])).toBeNull();
+  });
+
+  test('gives the in-turn signer more weight', async () => {
+    const engine = new ProofOfAuthorityEngine({ signers, period: 1 });
+    const inTurn = engine.getInTurnSigner(1) === alice.address ? alice : bob;
+    const outOfTurn = inTurn === alice ? bob : alice;
+
+    expect(engine.getBlockWork(await seal(inTurn, [genesis]))).toBe(2n);
+    expect(engine.getBlockWork(await seal(outOfTurn, [genesis]))).toBe(1n);
+  });
+
+  test('makes a signer wait for the others before sealing again', async () => {
+    const first = await seal(alice, [genesis]);
+
+    await expect(seal(alice, [genesis, first])).rejects.toMatchObject({ code: 'recent-signer' });
+    await expect(seal(bob, [genesis, first])).resolves.toBeInstanceOf(Block);
+  });
+
+  test('rejects blocks sealed outside the authority set', async () => {
+    const outsider = newSigner();
+    const engine = new ProofOfAuthorityEngine({ signers: [...signers, outsider.address], period: 1, signerKey: outsider.key });
+    const block = new Block(1, [], genesis.hash, 1, 0);
+    await engine.sealBlock(block, [genesis]);
+
+    expect(new ProofOfAuthorityEngine({ signers, period: 1 }).verifySeal(block, [genesis]).code).toBe('bad-signer');
+  });
+});
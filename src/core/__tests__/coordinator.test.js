@@ -0,0 +1,83 @@
+import { CryptoUtils } from '../crypto.js';
+import { POW_LIMIT_BITS } from '../difficulty.js';
+import { Block, Blockchain } from '../blockchain.js';
+import { ProofOfWorkEngine } from '../consensus.js';
+import { defaultGenesis } from '../../config/config.js';
+
+const newAddress = () => CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(CryptoUtils.generateKeyPair().privateKey));
+
+// A chain on the easiest target, so templates take a few hundred hashes
+function newChain() {
+  const blockchain = new Blockchain();
+  blockchain.applyGenesis({ ...defaultGenesis, bits: POW_LIMIT_BITS });
+  blockchain.resetChain([blockchain.createGenesisBlock()]);
+  return blockchain;
+}
+
+// First nonce whose hash of the template `block` does (or, with `meets`
+// false, does not) meet its target, found on a copy as an outside miner would
+function solve(block, meets = true) {
+  const attempt = new Block(block.index, block.transactions, block.previousHash, block.timestamp, block.bits);
+  for (attempt.nonce = 0; ; attempt.nonce++) {
+    attempt.hash = attempt.calculateHash();
+    if (ProofOfWorkEngine.meetsTarget(attempt) === meets) return attempt.nonce;
+  }
+}
+
+const miner = newAddress();
+
+describe('BlockCoordinator.submitTemplate', () => {
+  let blockchain;
+  let coordinator;
+
+  beforeEach(() => {
+    blockchain = newChain();
+    coordinator = blockchain.coordinator;
+  });
+
+  test('connects a solved template', async () => {
+    const { templateId, block } = coordinator.issueTemplate(miner);
+
+    const result = await coordinator.submitTemplate(templateId, { nonce: solve(block) });
+    expect(result.rejection).toBeNull();
+    expect(blockchain.getLatestBlock().hash).toBe(result.block.hash);
+    expect(blockchain.getBalance(miner)).toBe(blockchain.getBlockReward(1));
+  });
+
+  test('rejects a template that was already solved', async () => {
+    const { templateId, block } = coordinator.issueTemplate(miner);
+    const nonce = solve(block);
+    await coordinator.submitTemplate(templateId, { nonce });
+
+    const again = await coordinator.submitTemplate(templateId, { nonce });
+    expect(again.rejection).toEqual({ code: 'duplicate', message: 'Block was already submitted' });
+    expect(blockchain.chain).toHaveLength(2);
+  });
+
+  test('rejects a template built on a tip that has since moved', async () => {
+    const first = coordinator.issueTemplate(miner);
+    const second = coordinator.issueTemplate(newAddress());
+    await coordinator.submitTemplate(first.templateId, { nonce: solve(first.block) });
+
+    const late = await coordinator.submitTemplate(second.templateId, { nonce: solve(second.block) });
+    expect(late.rejection.code).toBe('stale');
+    expect(blockchain.chain).toHaveLength(2);
+    expect(blockchain.getLatestBlock().hash).not.toBe(late.block.hash);
+  });
+
+  test('rejects a nonce that misses the target and keeps the template open', async () => {
+    const { templateId, block } = coordinator.issueTemplate(miner);
+
+    const missed = await coordinator.submitTemplate(templateId, { nonce: solve(block, false) });
+    expect(missed.rejection.code).toBe('bad-pow');
+    expect(blockchain.chain).toHaveLength(1);
+
+    const solved = await coordinator.submitTemplate(templateId, { nonce: solve(block) });
+    expect(solved.rejection).toBeNull();
+  });
+
+  test('rejects an unknown template', async () => {
+    const result = await coordinator.submitTemplate('missing', { nonce: 0 });
+    expect(result.rejection.code).toBe('unknown-template');
+  });
+});
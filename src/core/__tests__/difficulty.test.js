@@ -0,0 +1,54 @@
+import {
+  bitsToTarget,
+  targetToBits,
+  getWork,
+  DifficultyAdjuster,
+  POW_LIMIT,
+  POW_LIMIT_BITS
+} from '../difficulty.js';
+
+// Headers spaced `spacing` ms apart, all at `bits`
+const chainOf = (length, spacing, bits = 0x1f010000) =>
+  Array.from({ length }, (_, index) => ({ index, timestamp: 1000000 + index * spacing, bits }));
+
+describe('compact bits', () => {
+  test('round-trip through targets', () => {
+    for (const bits of [0x1f010000, 0x1d00ffff, 0x2000ffff, 0x1b0404cb]) {
+      expect(targetToBits(bitsToTarget(bits))).toBe(bits);
+    }
+  });
+
+  test('refuse negative targets', () => {
+    expect(() => bitsToTarget(0x1f800000)).toThrow();
+  });
+
+  test('give harder targets more work', () => {
+    expect(getWork(0x1e010000)).toBeGreaterThan(getWork(0x1f010000));
+    expect(bitsToTarget(POW_LIMIT_BITS)).toBe(POW_LIMIT);
+  });
+});
+
+describe('DifficultyAdjuster', () => {
+  const adjuster = new DifficultyAdjuster({ blockTime: 1000, retargetInterval: 10, maxAdjustmentFactor: 4 });
+
+  test('keeps the parent bits between retargets', () => {
+    expect(adjuster.getNextBits(chainOf(5, 1))).toBe(0x1f010000);
+  });
+
+  test('leaves the target alone when blocks arrive on time', () => {
+    expect(adjuster.getNextBits(chainOf(10, 1000))).toBe(0x1f010000);
+  });
+
+  test('halves the target when blocks come twice as fast', () => {
+    expect(bitsToTarget(adjuster.getNextBits(chainOf(10, 500)))).toBe(bitsToTarget(0x1f010000) / 2n);
+  });
+
+  test('clamps each retarget to the adjustment factor', () => {
+    expect(bitsToTarget(adjuster.getNextBits(chainOf(10, 1)))).toBe(bitsToTarget(0x1f010000) / 4n);
+    expect(bitsToTarget(adjuster.getNextBits(chainOf(10, 1000000)))).toBe(bitsToTarget(0x1f010000) * 4n);
+  });
+
+  test('never goes easier than the proof-of-work limit', () => {
+    expect(adjuster.getNextBits(chainOf(10, 1000000, POW_LIMIT_BITS))).toBe(targetToBits(POW_LIMIT));
+  });
+});
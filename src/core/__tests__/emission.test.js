@@ -0,0 +1,48 @@
+import { EmissionSchedule } from '../emission.js';
+
+describe('EmissionSchedule', () => {
+  const schedule = new EmissionSchedule({ initialReward: '1000', halvingInterval: 10, maxSupply: '100000' });
+
+  test('pays nothing for the genesis block', () => {
+    expect(schedule.getBlockReward(0)).toBe(0n);
+  });
+
+  test('halves the reward every halving interval', () => {
+    expect(schedule.getBlockReward(1)).toBe(1000n);
+    expect(schedule.getBlockReward(9)).toBe(1000n);
+    expect(schedule.getBlockReward(10)).toBe(500n);
+    expect(schedule.getBlockReward(20)).toBe(250n);
+    expect(schedule.getNextHalvingHeight(10)).toBe(20);
+  });
+
+  test('reports the next block as the halving when the tip is just before it', () => {
+    expect(schedule.getNextHalvingHeight(9)).toBe(10);
+    expect(schedule.getBlockReward(schedule.getNextHalvingHeight(9))).toBe(500n);
+    expect(schedule.getNextHalvingHeight(0)).toBe(10);
+  });
+
+  test('stops after 64 halvings', () => {
+    expect(schedule.getScheduledReward(64 * 10)).toBe(0n);
+  });
+
+  test('pays only the remainder of the block that reaches the cap', () => {
+    const capped = new EmissionSchedule({ initialReward: '1000', halvingInterval: 100, maxSupply: '2500', premine: '0' });
+
+    expect(capped.getBlockReward(2)).toBe(1000n);
+    expect(capped.getBlockReward(3)).toBe(500n);
+    expect(capped.getBlockReward(4)).toBe(0n);
+    expect(capped.getIssuedThrough(1000)).toBe(2500n);
+  });
+
+  test('counts the premine against the cap', () => {
+    const premined = new EmissionSchedule({ initialReward: '1000', halvingInterval: 100, maxSupply: '2500', premine: '2000' });
+
+    expect(premined.getBlockReward(1)).toBe(500n);
+    expect(premined.getBlockReward(2)).toBe(0n);
+  });
+
+  test('refuses a premine above the cap and a non-positive halving interval', () => {
+    expect(() => new EmissionSchedule({ initialReward: '1', halvingInterval: 10, maxSupply: '1', premine: '2' })).toThrow();
+    expect(() => new EmissionSchedule({ initialReward: '1', halvingInterval: 0, maxSupply: '1' })).toThrow();
+  });
+});
@@ -0,0 +1,54 @@
+import { FeeEstimator } from '../fees.js';
+
+// A transaction that serialises to exactly `size` bytes
+const txOf = (fee, size = 1000) => ({ fromAddress: 'sender', fee, toJSON: () => ({ pad: 'x'.repeat(size - 10) }) });
+const reward = { fromAddress: null, fee: 0n, toJSON: () => ({}) };
+
+// Just enough of a Blockchain for the estimator: blocks and a mempool of { fee, size } entries
+function chainWith({ blocks = [], pending = [], maxTransactionsPerBlock = 100 } = {}) {
+  return {
+    chain: [{ transactions: [] }, ...blocks.map(fees => ({ transactions: [reward, ...fees.map(fee => txOf(fee))] }))],
+    maxTransactionsPerBlock,
+    mempool: {
+      entries: new Map(pending.map((fee, i) => [i, { fee, size: 1000 }])),
+      minRelayFeeRate: 1000n,
+      getStats: () => ({ transactions: pending.length })
+    }
+  };
+}
+
+describe('FeeEstimator', () => {
+  test('falls back to the relay minimum and a simple transfer size', () => {
+    const { estimates, typicalSize } = new FeeEstimator(chainWith()).estimate([1]);
+
+    expect(typicalSize).toBe(600);
+    expect(estimates[0]).toMatchObject({ feeRate: 1000n, typicalFee: 600n, historyRate: 0n, backlogRate: 0n });
+  });
+
+  test('asks a higher percentile of recent rates the sooner the target', () => {
+    const fees = Array.from({ length: 10 }, (_, i) => BigInt((i + 1) * 1000));
+    const estimator = new FeeEstimator(chainWith({ blocks: [fees.slice(0, 5), fees.slice(5)] }));
+    const [next, later] = estimator.estimate([1, 6]).estimates;
+
+    expect(next.historyRate).toBe(9000n);
+    expect(later.historyRate).toBe(2000n);
+    expect(estimator.getFeeRate(1)).toBe(9000n);
+  });
+
+  test('samples only the most recent blocks', () => {
+    const estimator = new FeeEstimator(chainWith({ blocks: [[50000n], [2000n]] }), { sampleBlocks: 1 });
+
+    expect(estimator.estimate([1])).toMatchObject({ sampledBlocks: 1, sampledTransactions: 1 });
+    expect(estimator.getFeeRate(1)).toBe(2000n);
+  });
+
+  test('outbids the backlog that fills the blocks before the target', () => {
+    const pending = [5000n, 4000n, 3000n, 2000n, 1000n];
+    const estimator = new FeeEstimator(chainWith({ pending, maxTransactionsPerBlock: 3 }));
+
+    expect(estimator.getBacklogRate(1)).toBe(4001n);
+    expect(estimator.getBacklogRate(2)).toBe(2001n);
+    expect(estimator.getBacklogRate(3)).toBe(0n);
+    expect(estimator.getFeeRate(1)).toBe(4001n);
+  });
+});
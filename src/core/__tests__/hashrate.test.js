@@ -0,0 +1,34 @@
+import { HashRateMeter, HASHRATE_WINDOWS } from '../hashrate.js';
+
+describe('HashRateMeter', () => {
+  test('averages reports inside each window', () => {
+    const meter = new HashRateMeter();
+    meter.record(1000, 1000, 0);
+    meter.record(3000, 1000, 200000);
+
+    expect(meter.getRate(HASHRATE_WINDOWS['1m'], 200000)).toBe(3000);
+    expect(meter.getRates(200000)).toEqual({ '1m': 3000, '5m': 2000, '15m': 2000 });
+  });
+
+  test('leaves idle time between reports out of the rate', () => {
+    const meter = new HashRateMeter();
+    meter.record(500, 500, 1000);
+    meter.record(500, 500, 30000);
+
+    expect(meter.getRate(HASHRATE_WINDOWS['1m'], 30000)).toBe(1000);
+  });
+
+  test('forgets reports older than its longest window, but not the lifetime average', () => {
+    const meter = new HashRateMeter(1000);
+    meter.record(1000, 1000, 0);
+    meter.record(4000, 1000, 1500);
+
+    expect(meter.samples).toHaveLength(1);
+    expect(meter.getRate(5000, 1500)).toBe(4000);
+    expect(meter.getAverageRate()).toBe(2500);
+  });
+
+  test('reports nothing before the first report', () => {
+    expect(new HashRateMeter().getRates()).toEqual({ '1m': 0, '5m': 0, '15m': 0 });
+  });
+});
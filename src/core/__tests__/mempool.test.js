@@ -0,0 +1,109 @@
+import { CryptoUtils } from '../crypto.js';
+import { AccountState } from '../state.js';
+import { Mempool, TransactionRejectedError } from '../mempool.js';
+import { Block, Transaction } from '../blockchain.js';
+
+const CHAIN_ID = 'keeta-test';
+
+const newAccount = () => {
+  const { privateKey } = CryptoUtils.generateKeyPair();
+  return { key: privateKey, address: CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(privateKey)) };
+};
+
+// State where each of `accounts` holds `balance` from a reward at height 0
+function fundedState(accounts, balance) {
+  const state = new AccountState();
+  const rewards = accounts.map(({ address }) => new Transaction(null, address, balance, {}, 0, 0n, CHAIN_ID));
+  state.applyBlock(new Block(0, rewards, '0'.repeat(64), 0));
+  return state;
+}
+
+function signed(from, to, amount, nonce, fee) {
+  const tx = new Transaction(from.address, to.address, amount, {}, nonce, fee, CHAIN_ID);
+  tx.signTransaction(from.key);
+  return tx;
+}
+
+describe('Mempool', () => {
+  const alice = newAccount();
+  const bob = newAccount();
+  const carol = newAccount();
+  let mempool;
+
+  beforeEach(() => {
+    mempool = new Mempool(fundedState([alice, bob], 1000000n), { chainId: CHAIN_ID, minRelayFeeRate: 0 });
+  });
+
+  test('queues a sender in nonce order and refuses gaps', () => {
+    mempool.add(signed(alice, carol, 10n, 0, 1n));
+
+    expect(() => mempool.add(signed(alice, carol, 10n, 2, 1n))).toThrow('Invalid nonce');
+    mempool.add(signed(alice, carol, 10n, 1, 1n));
+    expect(mempool.getNextNonce(alice.address)).toBe(2);
+  });
+
+  test('refuses spending more than the confirmed balance across the queue', () => {
+    mempool.add(signed(alice, carol, 600000n, 0, 0n));
+
+    expect(() => mempool.add(signed(alice, carol, 600000n, 1, 0n))).toThrow('Not enough balance');
+  });
+
+  test('refuses transactions for another chain, duplicates and bad signatures', () => {
+    const tx = signed(alice, carol, 10n, 0, 1n);
+    mempool.add(tx);
+    expect(() => mempool.add(tx)).toThrow('already known');
+
+    const foreign = new Transaction(bob.address, carol.address, 10n, {}, 0, 1n, 'other-chain');
+    foreign.signTransaction(bob.key);
+    expect(() => mempool.add(foreign)).toThrow('is for chain');
+
+    const forged = signed(bob, carol, 10n, 0, 1n);
+    forged.signature = signed(bob, carol, 11n, 0, 1n).signature;
+    expect(() => mempool.add(forged)).toThrow('invalid');
+  });
+
+  test('refuses fees below the relay minimum', () => {
+    const strict = new Mempool(fundedState([alice], 1000000n), { chainId: CHAIN_ID, minRelayFeeRate: 1000 });
+    const tx = signed(alice, carol, 10n, 0, 0n);
+
+    expect(() => strict.add(tx)).toThrow('below the minimum');
+    expect(() => strict.add(tx)).toThrow(TransactionRejectedError);
+  });
+
+  test('selects the best-paying run of each sender first', () => {
+    const cheap = signed(alice, carol, 10n, 0, 1n);
+    const rich = signed(alice, carol, 10n, 1, 1000n);
+    const middle = signed(bob, carol, 10n, 0, 100n);
+    [cheap, rich, middle].forEach(tx => mempool.add(tx));
+
+    expect(mempool.selectTransactions(3).map(tx => tx.id)).toEqual([cheap.id, rich.id, middle.id]);
+    expect(mempool.selectTransactions(1).map(tx => tx.id)).toEqual([middle.id]);
+  });
+
+  test('evicts the lowest fee rate when full, and expires old transactions', () => {
+    const small = new Mempool(fundedState([alice, bob], 1000000n), { chainId: CHAIN_ID, minRelayFeeRate: 0, maxTransactions: 1, maxAge: 100 });
+    const cheap = signed(alice, carol, 10n, 0, 1n);
+    small.add(cheap, 1);
+
+    expect(small.add(signed(bob, carol, 10n, 0, 500n), 2).map(tx => tx.id)).toEqual([cheap.id]);
+    expect(() => small.add(signed(alice, carol, 10n, 0, 0n), 3)).toThrow('Mempool is full');
+    expect(small.enforceLimits(200)).toHaveLength(1);
+    expect(small.size).toBe(0);
+  });
+
+  test('drops transactions a new block confirmed or made unfundable', () => {
+    const state = fundedState([alice], 1000n);
+    const pool = new Mempool(state, { chainId: CHAIN_ID, minRelayFeeRate: 0 });
+    const first = signed(alice, carol, 500n, 0, 0n);
+    const second = signed(alice, carol, 500n, 1, 0n);
+    pool.add(first);
+    pool.add(second);
+
+    // A competing spend of nonce 0 leaves nothing for the queued ones
+    const competing = signed(alice, bob, 1000n, 0, 0n);
+    state.applyBlock(new Block(1, [competing], '0'.repeat(64), 1));
+    pool.revalidate();
+
+    expect(pool.size).toBe(0);
+  });
+});
@@ -0,0 +1,67 @@
+import { createHash } from 'crypto';
+import { MerkleTree, verifyMerkleProof, EMPTY_MERKLE_ROOT } from '../merkle.js';
+
+const sha256 = (...parts) => createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+const hashLeaf = leaf => sha256(Buffer.from([0x00]), Buffer.from(leaf, 'hex'));
+const hashPair = (left, right) => sha256(Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+const leavesOf = count => Array.from({ length: count }, (_, i) => sha256(Buffer.from(`leaf ${i}`)));
+
+describe('MerkleTree', () => {
+  test('has a fixed root for no leaves', () => {
+    expect(new MerkleTree([]).getRoot()).toBe(EMPTY_MERKLE_ROOT);
+  });
+
+  test('hashes a lone leaf under the leaf prefix', () => {
+    const [leaf] = leavesOf(1);
+    expect(new MerkleTree([leaf]).getRoot()).toBe(hashLeaf(leaf));
+  });
+
+  test('pairs nodes under the interior prefix and promotes an odd last node', () => {
+    const [a, b, c] = leavesOf(3);
+    const root = hashPair(hashPair(hashLeaf(a), hashLeaf(b)), hashLeaf(c));
+    expect(new MerkleTree([a, b, c]).getRoot()).toBe(root);
+  });
+
+  test('does not give a list and the list with its last leaf repeated the same root', () => {
+    const leaves = leavesOf(3);
+    expect(new MerkleTree(leaves).getRoot()).not.toBe(new MerkleTree([...leaves, leaves[2]]).getRoot());
+  });
+});
+
+describe('verifyMerkleProof', () => {
+  test('accepts the proof of every leaf in trees of 1 to 9 leaves', () => {
+    for (let count = 1; count <= 9; count++) {
+      const leaves = leavesOf(count);
+      const tree = new MerkleTree(leaves);
+      leaves.forEach((leaf, index) => {
+        expect(verifyMerkleProof(leaf, index, count, tree.getProof(index), tree.getRoot())).toBe(true);
+      });
+    }
+  });
+
+  test('rejects a proof claimed for another position', () => {
+    const leaves = leavesOf(5);
+    const tree = new MerkleTree(leaves);
+    expect(verifyMerkleProof(leaves[1], 0, 5, tree.getProof(1), tree.getRoot())).toBe(false);
+    expect(verifyMerkleProof(leaves[4], 4, 6, tree.getProof(4), tree.getRoot())).toBe(false);
+    expect(verifyMerkleProof(leaves[0], 5, 5, tree.getProof(0), tree.getRoot())).toBe(false);
+  });
+
+  test('rejects extra, missing or flipped steps', () => {
+    const leaves = leavesOf(4);
+    const tree = new MerkleTree(leaves);
+    const proof = tree.getProof(2);
+
+    expect(verifyMerkleProof(leaves[2], 2, 4, [...proof, proof[0]], tree.getRoot())).toBe(false);
+    expect(verifyMerkleProof(leaves[2], 2, 4, proof.slice(1), tree.getRoot())).toBe(false);
+    expect(verifyMerkleProof(leaves[2], 2, 4, [{ ...proof[0], position: 'left' }, proof[1]], tree.getRoot())).toBe(false);
+  });
+
+  test('rejects an interior node passed off as a leaf', () => {
+    const leaves = leavesOf(4);
+    const tree = new MerkleTree(leaves);
+    const interior = tree.levels[1][0];
+
+    expect(verifyMerkleProof(interior, 0, 2, tree.getProof(0).slice(1), tree.getRoot())).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { AccountState } from '../state.js';
+
+let nextId = 0;
+const tx = (fromAddress, toAddress, amount, { nonce = 0, fee = 0n } = {}) =>
+  ({ id: `tx${nextId++}`, fromAddress, toAddress, amount, nonce, fee, data: {} });
+const block = (index, transactions) => ({ index, hash: `block${index}`, transactions });
+
+describe('AccountState', () => {
+  const genesis = block(0, [tx(null, 'alice', 1000n)]);
+  const spend = block(1, [
+    tx(null, 'carol', 50n),
+    tx('alice', 'bob', 300n, { fee: 10n }),
+    tx('bob', 'bob', 100n, { fee: 5n }),
+    tx('alice', 'carol', 1n, { nonce: 1 })
+  ]);
+
+  test('applies blocks to balances, nonces, histories and locations', () => {
+    const state = new AccountState();
+    state.applyBlock(genesis);
+    state.applyBlock(spend);
+
+    expect(state.getBalance('alice')).toBe(689n);
+    expect(state.getBalance('bob')).toBe(295n);
+    expect(state.getNonce('alice')).toBe(2);
+    expect(state.getTransactionCount('bob')).toBe(2);
+    expect(state.getTransactionLocation(spend.transactions[1].id)).toEqual({ blockIndex: 1, blockHash: 'block1', position: 1 });
+    expect(state.getStats()).toMatchObject({ totalTransactions: 5, totalFees: 15n });
+  });
+
+  test('reverting a block restores the state before it', () => {
+    const state = new AccountState();
+    state.applyBlock(genesis);
+    const before = new AccountState();
+    before.rebuild([genesis]);
+
+    state.applyBlock(spend);
+    state.revertBlock(spend);
+
+    expect(state.balances).toEqual(before.balances);
+    expect(state.nonces).toEqual(before.nonces);
+    expect(state.addressTransactions).toEqual(before.addressTransactions);
+    expect(state.txLocations).toEqual(before.txLocations);
+    expect(state.getStats()).toEqual(before.getStats());
+  });
+
+  test('rebuilds from a chain', () => {
+    const state = new AccountState();
+    state.applyBlock(block(0, [tx(null, 'dave', 5n)]));
+    state.rebuild([genesis, spend]);
+
+    expect(state.getBalance('dave')).toBe(0n);
+    expect(state.getRichList().map(entry => entry.address)).toEqual(['alice', 'bob', 'carol']);
+  });
+});
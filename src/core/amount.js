@@ -0,0 +1,71 @@
+// Amounts are integer base units held as BigInt. Decimals only affect how
+// they are shown to people; consensus never sees a fractional value.
+export class Amount {
+  static decimals = 8;
+
+  static configure(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+      throw new Error('Decimals must be an integer between 0 and 18');
+    }
+    this.decimals = decimals;
+  }
+
+  // Accept base units as a BigInt, a safe integer or a string of digits
+  static from(value) {
+    if (typeof value === 'bigint') {
+      if (value < 0n) throw new Error('Amount cannot be negative');
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error('Amount must be a non-negative integer number of base units');
+      }
+      return BigInt(value);
+    }
+
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+      return BigInt(value);
+    }
+
+    throw new Error('Amount must be an integer number of base units');
+  }
+
+  // Whether a value can be read as base units
+  static isValid(value) {
+    try {
+      this.from(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse a human amount such as "10.5" into base units
+  static parse(display) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(display).trim());
+    if (!match) {
+      throw new Error('Invalid amount');
+    }
+
+    const [, whole, fraction = ''] = match;
+    if (fraction.length > this.decimals) {
+      throw new Error(`Amount has more than ${this.decimals} decimal places`);
+    }
+
+    return BigInt(whole + fraction.padEnd(this.decimals, '0'));
+  }
+
+  // Render base units with the configured decimals, e.g. 1050000000n -> "10.50000000"
+  static format(units) {
+    const value = this.from(units);
+    if (this.decimals === 0) return value.toString();
+
+    const digits = value.toString().padStart(this.decimals + 1, '0');
+    return `${digits.slice(0, -this.decimals)}.${digits.slice(-this.decimals)}`;
+  }
+
+  static compareDescending(a, b) {
+    return a > b ? -1 : a < b ? 1 : 0;
+  }
+}
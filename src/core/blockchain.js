@@ -1,42 +1,90 @@
-import crypto from 'crypto';
-import { v4 as uuidv4 } from 'uuid';
-import { CryptoUtils, SecureWallet } from './crypto.js';
+import { EventEmitter } from 'events';
+import { CryptoUtils } from './crypto.js';
+import { Canonical } from './canonical.js';
+import { AccountState } from './state.js';
+import { Mempool } from './mempool.js';
+import { Amount } from './amount.js';
+import { EmissionSchedule } from './emission.js';
+import { MerkleTree } from './merkle.js';
+import { getDifficulty, formatBits } from './difficulty.js';
+import { createConsensusEngine } from './consensus.js';
+import { BlockCoordinator } from './coordinator.js';
 import { database } from '../config/database.js';
+import { config, defaultGenesis } from '../config/config.js';
+
+// Integer fields of blocks and transactions are stored as unsigned varints
+// (see codec.js), so anything else would make a block impossible to store or relay
+function isUnsignedInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+// A block broke a consensus rule. `code` is a short machine-readable reason
+// such as 'bad-pow' or 'bad-txns-overspend'; `height` is where it was found.
+export class BlockValidationError extends Error {
+  constructor({ code, message }, height = null) {
+    super(message);
+    this.name = 'BlockValidationError';
+    this.code = code;
+    this.height = height;
+  }
+}
 
 export class Block {
-  constructor(index, transactions, previousHash, timestamp = Date.now()) {
+  constructor(index, transactions, previousHash, timestamp = Date.now(), bits = 0) {
     this.index = index;
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.previousHash = previousHash;
-    this.hash = this.calculateHash();
+    this.merkleRoot = Block.calculateMerkleRoot(transactions);
+    this.bits = bits; // Compact proof-of-work target (0 under proof of authority)
     this.nonce = 0;
+    this.hash = this.calculateHash();
+    this.seal = null; // Authority signature, outside the hashed header
+  }
+
+  // Rebuild a Block (and its transactions) from persisted or network JSON.
+  // Fields are taken as-is so validation sees exactly what was received.
+  static fromJSON(data) {
+    if (data instanceof Block) return data;
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.transactions)) {
+      throw new Error('Invalid block data');
+    }
+
+    const block = Object.create(Block.prototype);
+    block.index = data.index;
+    block.timestamp = data.timestamp;
+    block.transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+    block.previousHash = data.previousHash;
+    block.merkleRoot = data.merkleRoot;
+    block.bits = data.bits;
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+    block.seal = data.seal ?? null;
+    return block;
+  }
+
+  // The header commits to the transactions only through the Merkle root
+  getHeader() {
+    return Canonical.blockHeader(this);
   }
 
   calculateHash() {
-    return CryptoUtils.createHash({
-      index: this.index,
-      timestamp: this.timestamp,
-      transactions: this.transactions,
-      previousHash: this.previousHash,
-      nonce: this.nonce
-    });
+    return CryptoUtils.createHash(this.getHeader());
   }
 
-  mineBlock(difficulty) {
-    const target = '0'.repeat(difficulty);
-    
-    while (this.hash.substring(0, difficulty) !== target) {
-      this.nonce++;
-      this.hash = this.calculateHash();
-      
-      // Prevent infinite loops in production
-      if (this.nonce > Number.MAX_SAFE_INTEGER) {
-        throw new Error('Mining timeout - nonce exceeded maximum value');
-      }
-    }
-    
-    console.log(`Block mined: ${this.hash}`);
+  static calculateMerkleRoot(transactions) {
+    return new MerkleTree(transactions.map(tx => Transaction.leafHash(tx))).getRoot();
+  }
+
+  hasValidMerkleRoot() {
+    return this.merkleRoot === Block.calculateMerkleRoot(this.transactions);
+  }
+
+  // Inclusion proof for the transaction at `position`
+  getMerkleProof(position) {
+    const leaves = this.transactions.map(tx => Transaction.leafHash(tx));
+    return new MerkleTree(leaves).getProof(position);
   }
 
   hasValidTransactions() {
@@ -45,10 +93,15 @@ export class Block {
     }
     return true;
   }
+
+  // Fees paid by the block's transactions, collected by its reward transaction
+  getTotalFees() {
+    return this.transactions.reduce((total, tx) => total + (tx.fromAddress ? tx.fee : 0n), 0n);
+  }
 }
 
 export class Transaction {
-  constructor(fromAddress, toAddress, amount, data = {}) {
+  constructor(fromAddress, toAddress, amount, data = {}, nonce = 0, fee = 0n, chainId = null) {
     // Input validation
     if (!CryptoUtils.validateAddress(toAddress)) {
       throw new Error('Invalid recipient address');
@@ -58,26 +111,86 @@ export class Transaction {
       throw new Error('Invalid sender address');
     }
     
-    if (typeof amount !== 'number' || amount <= 0) {
+    // Only a reward transaction may carry nothing, once issuance has ended and there are no fees
+    if (!Amount.isValid(amount) || (fromAddress && Amount.from(amount) <= 0n)) {
       throw new Error('Invalid transaction amount');
     }
+
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      throw new Error('Invalid transaction nonce');
+    }
+
+    if (!Amount.isValid(fee)) {
+      throw new Error('Invalid transaction fee');
+    }
+
+    if (typeof chainId !== 'string' || chainId.length === 0) {
+      throw new Error('Transaction chain id is required');
+    }
     
-    this.id = uuidv4();
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
-    this.amount = Math.round(amount * 100) / 100; // Round to 2 decimal places
+    this.amount = Amount.from(amount); // Integer base units
+    this.fee = Amount.from(fee); // Paid by the sender on top of the amount, collected by the miner
+    this.nonce = nonce; // Sender sequence number (block height for mining rewards)
+    this.chainId = chainId; // Network the transaction is valid on, so it can't be replayed elsewhere
     this.timestamp = Date.now();
     this.data = Object.freeze({ ...data }); // Freeze to prevent modifications
+    this.publicKey = null;
     this.signature = null;
+    this.id = this.calculateHash();
   }
 
+  // The id: hash of the canonical payload, which is also what gets signed
   calculateHash() {
+    return CryptoUtils.createHash(Canonical.transactionPayload(this));
+  }
+
+  // Rebuild a Transaction from persisted or network JSON without re-running
+  // constructor checks; isValid() decides whether it is acceptable
+  static fromJSON(data) {
+    if (data instanceof Transaction) return data;
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid transaction data');
+    }
+
+    const tx = Object.create(Transaction.prototype);
+    tx.fromAddress = data.fromAddress ?? null;
+    tx.toAddress = data.toAddress;
+    tx.amount = Amount.isValid(data.amount) ? Amount.from(data.amount) : data.amount;
+    tx.fee = Amount.isValid(data.fee) ? Amount.from(data.fee) : data.fee;
+    tx.nonce = data.nonce;
+    tx.chainId = data.chainId ?? null;
+    tx.timestamp = data.timestamp;
+    tx.data = Object.freeze({ ...(data.data || {}) });
+    tx.publicKey = data.publicKey ?? null;
+    tx.signature = data.signature ?? null;
+    tx.id = data.id;
+    return tx;
+  }
+
+  // BigInt has no JSON form, so amounts travel as strings of base units
+  toJSON() {
+    return { ...this, amount: this.amount.toString(), fee: this.fee.toString() };
+  }
+
+  // 0.1% of the amount, charged on cross-chain transfers as part of the fee
+  static bridgeFee(amount) {
+    return Amount.from(amount) / 1000n;
+  }
+
+  getRequiredBridgeFee() {
+    return this.data.toChain ? Transaction.bridgeFee(this.amount) : 0n;
+  }
+
+  // Merkle leaf: the signed payload hash plus the signature and key that authorise it.
+  // Anyone holding the id, key and signature can rebuild it.
+  static leafHash(tx) {
     return CryptoUtils.createHash({
-      fromAddress: this.fromAddress,
-      toAddress: this.toAddress,
-      amount: this.amount,
-      timestamp: this.timestamp,
-      data: this.data
+      id: tx.id,
+      publicKey: tx.publicKey,
+      signature: tx.signature
     });
   }
 
@@ -89,33 +202,50 @@ export class Transaction {
     // For mining rewards, fromAddress is null
     if (this.fromAddress) {
       // Verify that the private key matches the fromAddress
-      const tempPublicKey = crypto.createPublicKey(signingKey);
-      const derivedAddress = CryptoUtils.generateAddress(tempPublicKey.export({ format: 'pem', type: 'spki' }));
+      const publicKey = CryptoUtils.getPublicKeyPem(signingKey);
       
-      if (derivedAddress !== this.fromAddress) {
+      if (CryptoUtils.generateAddress(publicKey) !== this.fromAddress) {
         throw new Error('Private key does not match sender address');
       }
+
+      // Embed the public key so any node can verify without an address book
+      this.publicKey = publicKey;
     }
 
-    const message = this.calculateHash();
-    this.signature = SecureWallet.signTransaction(this, signingKey);
+    this.signature = CryptoUtils.sign(this.calculateHash(), signingKey);
   }
 
   isValid() {
-    // Mining rewards are always valid
-    if (this.fromAddress === null) return true;
+    // The id is the payload hash, so it can't be reused for a different payload
+    if (this.id !== this.calculateHash()) return false;
+
+    // Integers must survive the binary encoding as well as JSON
+    if (!isUnsignedInteger(this.nonce) || !isUnsignedInteger(this.timestamp)) return false;
+
+    if (typeof this.amount !== 'bigint' || this.amount < 0n) return false;
+
+    if (typeof this.fee !== 'bigint' || this.fee < 0n) return false;
+
+    if (this.fromAddress && this.amount === 0n) return false;
+
+    // Mining rewards are always valid, but never pay a fee themselves
+    if (this.fromAddress === null) return this.fee === 0n;
 
     if (!this.signature || this.signature.length === 0) {
       throw new Error('Transaction is not signed');
     }
 
+    if (!this.publicKey) {
+      return false;
+    }
+
     try {
-      // Recreate public key from address (this is simplified - in production you'd store public keys)
-      const message = this.calculateHash();
-      
-      // For production, you'd maintain a mapping of addresses to public keys
-      // This is a simplified validation
-      return this.signature && this.signature.length > 0;
+      // The embedded public key must belong to the sender
+      if (CryptoUtils.generateAddress(this.publicKey) !== this.fromAddress) {
+        return false;
+      }
+
+      return CryptoUtils.verify(this.calculateHash(), this.signature, this.publicKey);
     } catch (error) {
       console.error('Transaction validation error:', error);
       return false;
@@ -123,45 +253,172 @@ export class Transaction {
   }
 }
 
-export class Blockchain {
+// Emits, once the chain is loaded:
+// - 'block:connected' { block, reorg }: a block joined the active chain
+//   (`reorg` is true while a reorganisation connects its new branch)
+// - 'block:disconnected' { block, reorg }: the tip block was rolled back
+// - 'reorg' { depth, forkHeight, oldTip, newTip, ... }: a reorganisation
+//   finished; the same entry is kept in reorgHistory
+// - 'tx:accepted' { transaction }: a transaction entered the mempool
+// - 'tx:evicted' { transaction, reason }: a pending transaction was dropped
+//   ('expired', 'mempool-full' or 'invalid')
+export class Blockchain extends EventEmitter {
   constructor() {
+    super();
     this.chain = [];
-    this.difficulty = 4;
-    this.pendingTransactions = [];
-    this.miningReward = 10;
-    this.maxTransactionsPerBlock = 10000; // High TPS capability
+    this.state = new AccountState();
+    this.chainWork = 0n;
+    this.reorgHistory = [];
+    this.maxFutureBlockTime = 120000; // How far ahead of our clock a block may be, in ms
+    this.hashRateBlocks = 120; // Recent blocks the network hashrate is estimated from
     this.isInitialized = false;
+    this.isLoading = false; // Replaying stored data; no events are emitted
+    this.isReorganizing = false;
+    this.persisting = Promise.resolve();
+    this.unsaved = new Set();
+    this.persistScheduled = false;
+    this.applyGenesis(defaultGenesis);
+    this.setMempool(new Mempool(this.state, { chainId: this.chainId }));
+
+    // Persistence follows the chain like any other subscriber
+    this.on('block:connected', () => this.schedulePersist('chain', 'pending'));
+    this.on('block:disconnected', () => this.schedulePersist('chain', 'pending'));
+    this.on('tx:accepted', () => this.schedulePersist('pending'));
+    this.on('tx:evicted', () => this.schedulePersist('pending'));
+
+    // Builds, and accepts, every block this node produces
+    this.coordinator = new BlockCoordinator(this);
+  }
+
+  // Use `mempool` for pending transactions, passing its events on to our subscribers
+  setMempool(mempool) {
+    this.mempool = mempool;
+    mempool.on('tx:accepted', event => this.emitEvent('tx:accepted', event));
+    mempool.on('tx:evicted', event => this.emitEvent('tx:evicted', event));
+  }
+
+  emitEvent(name, payload) {
+    if (!this.isLoading) {
+      this.emit(name, payload);
+    }
+  }
+
+  // Adopt a genesis specification (chain id, premine, consensus, initial parameters).
+  // Consensus rules come from the spec alone, so every node on the network
+  // agrees on them; `consensusOptions` are node-local engine settings such as a signer key.
+  applyGenesis(genesis, consensusOptions = {}) {
+    this.genesis = genesis;
+    this.chainId = genesis.chainId;
+    this.genesisBlock = null;
+    this.consensus = createConsensusEngine(genesis.consensus, consensusOptions);
+    this.maxTransactionsPerBlock = genesis.consensus.maxTransactionsPerBlock;
+    this.medianTimeSpan = genesis.consensus.medianTimeSpan; // Blocks whose median timestamp a new block must exceed
+    this.bits = genesis.bits;
+    this.difficulty = getDifficulty(genesis.bits);
+    this.emission = new EmissionSchedule({
+      initialReward: genesis.miningReward,
+      halvingInterval: genesis.halvingInterval,
+      maxSupply: genesis.maxSupply,
+      premine: genesis.allocations.reduce((total, { amount }) => total + Amount.from(amount), 0n)
+    });
+  }
+
+  // Subsidy for the block at `height` (the next block by default), before fees
+  getBlockReward(height = this.chain.length) {
+    return this.emission.getBlockReward(height);
   }
 
   // Initialize blockchain from database
   async initialize() {
     if (this.isInitialized) return;
+
+    // A broken genesis spec must stop the node rather than fork it off the network
+    const genesis = await config.loadGenesis();
+    this.applyGenesis(genesis, { signerKey: await config.loadSignerKey() });
+
+    if (config.isLoaded) {
+      Amount.configure(config.get('blockchain.decimals', Amount.decimals));
+      this.maxFutureBlockTime = config.get('blockchain.maxFutureBlockTime', this.maxFutureBlockTime);
+      this.hashRateBlocks = config.get('blockchain.hashRateBlocks', this.hashRateBlocks);
+      database.configure({ format: config.get('database.format', database.format) });
+    }
+
+    this.setMempool(new Mempool(this.state, {
+      ...(config.isLoaded ? config.get('mempool', {}) : {}),
+      chainId: this.chainId
+    }));
     
+    this.isLoading = true;
     try {
       await database.initialize();
       
       // Load existing data
       const savedChain = await database.loadBlockchain();
       if (savedChain.length > 0) {
-        this.chain = savedChain;
+        if (savedChain[0].hash !== this.getGenesisHash()) {
+          throw new BlockValidationError({ code: 'bad-genesis', message: 'Stored chain was built from a different genesis block' }, 0);
+        }
+
+        // Replay stored blocks through full validation rather than trusting the
+        // disk, keeping everything up to the first block that fails
+        this.resetChain([this.createGenesisBlock()]);
+        for (const data of savedChain.slice(1)) {
+          try {
+            this.connectBlock(Block.fromJSON(data));
+          } catch (error) {
+            console.warn(`⚠️ Stored block #${data.index} rejected (${error.code || 'bad-structure'}): ${error.message}`);
+            break;
+          }
+        }
       } else {
         // Create genesis block if no data exists
-        this.chain = [this.createGenesisBlock()];
+        this.resetChain([this.createGenesisBlock()]);
         await this.saveChain();
       }
       
-      this.pendingTransactions = await database.loadPendingTransactions();
+      const savedPending = await database.loadPendingTransactions();
+      this.mempool.load(savedPending.map(tx => Transaction.fromJSON(tx)));
       this.isInitialized = true;
       
       console.log(`🔗 Blockchain initialized with ${this.chain.length} blocks`);
     } catch (error) {
+      // Running on a fresh chain would overwrite the stored one; stop instead
+      if (error instanceof BlockValidationError) throw error;
+
       console.error('❌ Blockchain initialization failed:', error);
       // Fallback to in-memory blockchain
-      this.chain = [this.createGenesisBlock()];
+      this.resetChain([this.createGenesisBlock()]);
       this.isInitialized = true;
+    } finally {
+      this.isLoading = false;
     }
   }
 
+  // Queue a save of the chain and/or pending transactions. Changes made in
+  // the same tick (a whole reorganisation, say) share one write, and writes
+  // never overlap.
+  schedulePersist(...parts) {
+    parts.forEach(part => this.unsaved.add(part));
+    if (this.persistScheduled) return;
+
+    this.persistScheduled = true;
+    this.persisting = this.persisting
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(async () => {
+        this.persistScheduled = false;
+        const unsaved = this.unsaved;
+        this.unsaved = new Set();
+
+        if (unsaved.has('chain')) await this.saveChain();
+        if (unsaved.has('pending')) await this.savePendingTransactions();
+      });
+  }
+
+  // Resolves once every queued save has been written
+  async flush() {
+    await this.persisting;
+  }
+
   // Save blockchain to database
   async saveChain() {
     if (!this.isInitialized) return;
@@ -178,154 +435,431 @@ export class Blockchain {
     if (!this.isInitialized) return;
     
     try {
-      await database.savePendingTransactions(this.pendingTransactions);
+      await database.savePendingTransactions(this.mempool.getTransactions());
     } catch (error) {
       console.error('❌ Failed to save pending transactions:', error);
     }
   }
 
+  // Build block 0 purely from the genesis spec so every node derives the same hash
   createGenesisBlock() {
-    return new Block(0, [], '0');
+    const { chainId, timestamp, allocations } = this.genesis;
+
+    const transactions = allocations.map(({ address, amount }) => {
+      const tx = new Transaction(null, address, amount, { type: 'GENESIS_ALLOCATION', chainId }, 0, 0n, chainId);
+      tx.timestamp = timestamp;
+      tx.id = tx.calculateHash();
+      return tx;
+    });
+
+    return new Block(0, transactions, '0', timestamp, this.genesis.bits);
+  }
+
+  getGenesisHash() {
+    if (!this.genesisBlock) {
+      this.genesisBlock = this.createGenesisBlock();
+    }
+    return this.genesisBlock.hash;
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
-  async addTransaction(transaction) {
-    if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error('Transaction must include from and to address');
+  // Validate a block against the tip and index it. Callers that have just
+  // run validateBlock on the same tip pass `validated` to skip the second run.
+  connectBlock(block, { validated = false } = {}) {
+    const rejection = validated ? null : this.validateBlock(block);
+    if (rejection) {
+      throw new BlockValidationError(rejection, block?.index ?? null);
     }
 
-    if (!transaction.isValid()) {
-      throw new Error('Cannot add invalid transaction to chain');
+    this.chain.push(block);
+    this.state.applyBlock(block);
+    this.chainWork += this.consensus.getBlockWork(block);
+    this.updateDifficulty();
+
+    // Subscribers may build on the new tip straight away, so the mempool must
+    // already have lost what this block confirmed. A reorganisation
+    // revalidates once its whole branch is in.
+    if (!this.isReorganizing) {
+      this.mempool.revalidate();
     }
+    this.emitEvent('block:connected', { block, reorg: this.isReorganizing });
+  }
+
+  // Check every consensus rule for `block` on top of its parent in this chain.
+  // `parentState` is the account state as of that parent (the live state for
+  // the tip). Returns { code, message } for the first rule broken, or null.
+  validateBlock(block, parentState = this.state) {
+    const reject = (code, message) => ({ code, message });
 
-    if (transaction.amount <= 0) {
-      throw new Error('Transaction amount should be higher than 0');
+    if (!block || !Array.isArray(block.transactions) || !Number.isInteger(block.index)) {
+      return reject('bad-structure', 'Block is missing its index or transactions');
     }
 
-    // Get wallet balance
-    const walletBalance = this.getBalance(transaction.fromAddress);
-    
-    if (walletBalance < transaction.amount) {
-      throw new Error('Not enough balance');
+    // Header integers must survive the binary encoding as well as JSON
+    if (![block.timestamp, block.bits, block.nonce].every(isUnsignedInteger) || block.bits > 0xffffffff) {
+      return reject('bad-structure', 'Block timestamp, bits and nonce must be non-negative integers');
     }
 
-    this.pendingTransactions.push(transaction);
-    await this.savePendingTransactions();
-  }
+    const parent = this.chain[block.index - 1];
+    if (block.index < 1 || block.index > this.chain.length || !parent) {
+      return reject('bad-index', `Block index ${block.index} does not follow a known block`);
+    }
 
-  getBalance(address) {
-    let balance = 0;
+    // The live state only describes the tip, so only a tip extension can use it
+    if (parentState === this.state && block.index !== this.chain.length) {
+      return reject('bad-index', `Block index ${block.index} does not extend tip ${this.chain.length - 1}`);
+    }
+
+    if (block.previousHash !== parent.hash) {
+      return reject('bad-prevblk', `Block does not link to block #${parent.index}`);
+    }
+
+    if (block.hash !== block.calculateHash()) {
+      return reject('bad-hash', 'Block hash does not match its header');
+    }
 
-    for (const block of this.chain) {
-      for (const trans of block.transactions) {
-        if (trans.fromAddress === address) {
-          balance -= trans.amount;
+    if (!block.hasValidMerkleRoot()) {
+      return reject('bad-merkle-root', 'Block Merkle root does not match its transactions');
+    }
+
+    // Target and proof of work, or authority signature, depending on the engine
+    const sealRejection = this.consensus.verifySeal(block, this.chain);
+    if (sealRejection) {
+      return sealRejection;
+    }
+
+    const medianTime = this.getMedianTimePast(block.index);
+    if (!Number.isInteger(block.timestamp) || block.timestamp <= medianTime) {
+      return reject('time-too-old', `Block timestamp must be after the median of recent blocks (${medianTime})`);
+    }
+
+    if (block.timestamp > Date.now() + this.maxFutureBlockTime) {
+      return reject('time-too-new', 'Block timestamp is too far in the future');
+    }
+
+    if (block.transactions.length > this.maxTransactionsPerBlock) {
+      return reject('bad-blk-length', `Block has more than ${this.maxTransactionsPerBlock} transactions`);
+    }
+
+    const seen = new Set();
+    for (const tx of block.transactions) {
+      if (seen.has(tx.id) || parentState.getTransactionLocation(tx.id)) {
+        return reject('bad-txns-duplicate', `Transaction ${tx.id} appears more than once`);
+      }
+      seen.add(tx.id);
+
+      try {
+        if (!tx.isValid() || (tx.fromAddress && !tx.toAddress)) {
+          return reject('bad-txns-invalid', `Transaction ${tx.id} is invalid`);
+        }
+      } catch (error) {
+        return reject('bad-txns-invalid', `Transaction ${tx.id} is invalid: ${error.message}`);
+      }
+
+      // Signed for another network; the chain id is part of the signed payload
+      if (tx.chainId !== this.chainId) {
+        return reject('bad-txns-chain', `Transaction ${tx.id} is for chain "${tx.chainId}", not "${this.chainId}"`);
+      }
+
+      // Cross-chain transfers pay the bridge fee whoever includes them
+      if (tx.fee < tx.getRequiredBridgeFee()) {
+        return reject('bad-txns-bridge-fee', `Transaction ${tx.id} pays less than its bridge fee of ${tx.getRequiredBridgeFee()}`);
+      }
+    }
+
+    const rewards = block.transactions.filter(tx => !tx.fromAddress);
+    if (rewards.length !== 1) {
+      return reject('bad-coinbase-count', `Block must contain exactly one reward transaction, found ${rewards.length}`);
+    }
+
+    // Mining rewards carry the block height so their ids never repeat
+    if (rewards[0].nonce !== block.index) {
+      return reject('bad-coinbase-nonce', `Reward transaction must use nonce ${block.index}`);
+    }
+
+    const expectedReward = this.getBlockReward(block.index) + block.getTotalFees();
+    if (rewards[0].amount !== expectedReward) {
+      return reject('bad-coinbase-amount', `Reward transaction pays ${rewards[0].amount}, expected ${expectedReward}`);
+    }
+
+    // Replay the block in order: nonces must follow on and no sender may
+    // spend more than they hold at that point
+    const nonces = new Map();
+    const balances = new Map();
+    const balanceOf = address => (balances.has(address) ? balances.get(address) : parentState.getBalance(address));
+
+    for (const tx of block.transactions) {
+      if (tx.fromAddress) {
+        const expectedNonce = nonces.has(tx.fromAddress) ? nonces.get(tx.fromAddress) : parentState.getNonce(tx.fromAddress);
+        if (tx.nonce !== expectedNonce) {
+          return reject('bad-txns-nonce', `Transaction ${tx.id} has nonce ${tx.nonce}, expected ${expectedNonce}`);
         }
+        nonces.set(tx.fromAddress, expectedNonce + 1);
 
-        if (trans.toAddress === address) {
-          balance += trans.amount;
+        const remaining = balanceOf(tx.fromAddress) - tx.amount - tx.fee;
+        if (remaining < 0n) {
+          return reject('bad-txns-overspend', `Transaction ${tx.id} spends more than ${tx.fromAddress} holds`);
         }
+        balances.set(tx.fromAddress, remaining);
       }
+
+      balances.set(tx.toAddress, balanceOf(tx.toAddress) + tx.amount);
     }
 
-    return balance;
+    return null;
   }
 
-  getAllTransactionsForWallet(address) {
-    const txs = [];
+  // Median timestamp of the blocks before `height`
+  getMedianTimePast(height) {
+    const timestamps = this.chain
+      .slice(Math.max(0, height - this.medianTimeSpan), height)
+      .map(block => block.timestamp)
+      .sort((a, b) => a - b);
+
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  // Reward transaction for a block carrying `transactions`
+  createRewardTransaction(minerAddress, transactions) {
+    const fees = transactions.reduce((total, tx) => total + tx.fee, 0n);
+    return new Transaction(null, minerAddress, this.getBlockReward() + fees, {}, this.chain.length, 0n, this.chainId);
+  }
+
+  // Remove the tip block and roll its effects back out of the index
+  removeLatestBlock() {
+    if (this.chain.length <= 1) {
+      throw new Error('Cannot remove the genesis block');
+    }
+
+    const block = this.chain.pop();
+    this.state.revertBlock(block);
+    this.chainWork -= this.consensus.getBlockWork(block);
+    this.updateDifficulty();
+    this.emitEvent('block:disconnected', { block, reorg: this.isReorganizing });
+    return block;
+  }
+
+  // Swap in a whole chain and re-index it from scratch
+  resetChain(chain) {
+    this.chain = chain;
+    this.state.rebuild(chain);
+    this.chainWork = this.consensus.getChainWork(chain);
+    this.updateDifficulty();
+    this.mempool.revalidate();
+  }
 
-    for (const block of this.chain) {
-      for (const tx of block.transactions) {
-        if (tx.fromAddress === address || tx.toAddress === address) {
-          txs.push(tx);
+  // Switch to a competing chain if it carries more cumulative work.
+  // The new branch is validated block by block from the fork point; if any block
+  // fails, the original branch is restored. Returns true when the chain changed.
+  async reorganize(candidate) {
+    if (!candidate.length || candidate[0].hash !== this.getGenesisHash()) {
+      throw new Error('Candidate chain has a different genesis block');
+    }
+
+    // Last block both chains share
+    let forkIndex = 0;
+    const sharedLength = Math.min(candidate.length, this.chain.length);
+    while (forkIndex + 1 < sharedLength && candidate[forkIndex + 1].hash === this.chain[forkIndex + 1].hash) {
+      forkIndex++;
+    }
+
+    const currentBranch = this.chain.slice(forkIndex + 1);
+    const candidateBranch = candidate.slice(forkIndex + 1);
+    if (!this.consensus.isBetterBranch(candidateBranch, currentBranch)) {
+      return false;
+    }
+
+    const oldTip = this.getLatestBlock();
+    const disconnected = [];
+    this.isReorganizing = currentBranch.length > 0;
+    try {
+      while (this.chain.length - 1 > forkIndex) {
+        disconnected.unshift(this.removeLatestBlock());
+      }
+
+      try {
+        for (const block of candidateBranch) {
+          this.connectBlock(block);
+        }
+      } catch (error) {
+        while (this.chain.length - 1 > forkIndex) {
+          this.removeLatestBlock();
+        }
+        for (const block of disconnected) {
+          this.connectBlock(block);
         }
+        throw new Error(`Reorganisation rejected: ${error.message}`);
       }
+    } finally {
+      this.isReorganizing = false;
     }
 
-    return txs;
+    const reinjected = this.mempool.reinject(disconnected.flatMap(block => block.transactions));
+
+    if (disconnected.length > 0) {
+      const newTip = this.getLatestBlock();
+      this.reorgHistory.unshift({
+        depth: disconnected.length,
+        forkHeight: forkIndex,
+        oldTip: { index: oldTip.index, hash: oldTip.hash },
+        newTip: { index: newTip.index, hash: newTip.hash },
+        connectedBlocks: candidateBranch.length,
+        reinjectedTransactions: reinjected,
+        timestamp: Date.now()
+      });
+      this.reorgHistory.length = Math.min(this.reorgHistory.length, 100);
+
+      console.log(`🔀 Reorganised ${disconnected.length} blocks at height ${forkIndex}, new tip #${newTip.index}`);
+      this.emitEvent('reorg', this.reorgHistory[0]);
+    }
+
+    await this.flush();
+    return true;
   }
 
-  async minePendingTransactions(miningRewardAddress) {
-    // Create reward transaction
-    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward);
-    
-    // Get transactions to mine (limit for performance)
-    const transactionsToMine = this.pendingTransactions.slice(0, this.maxTransactionsPerBlock);
-    transactionsToMine.push(rewardTx);
+  // Target the next block must carry (0 when the engine has no proof of work)
+  updateDifficulty() {
+    this.bits = this.consensus.getNextBits(this.chain);
+    this.difficulty = this.bits ? getDifficulty(this.bits) : 0;
+  }
+
+  // Hashes per second behind the last `blocks` blocks: their combined work over
+  // the time between the block before them and the tip. Genesis has a fixed
+  // timestamp, so it is never the starting point. 0 without proof of work or
+  // before there are two mined blocks to compare.
+  getNetworkHashRate(blocks = this.hashRateBlocks) {
+    if (this.consensus.name !== 'pow') return 0;
+
+    const recent = this.chain.slice(Math.max(1, this.chain.length - blocks - 1));
+    if (recent.length < 2) return 0;
+
+    const span = recent[recent.length - 1].timestamp - recent[0].timestamp;
+    if (span <= 0) return 0;
+
+    const work = this.consensus.getChainWork(recent.slice(1));
+    return Number(work * 1000n / BigInt(span));
+  }
+
+  getConsensusInfo() {
+    return this.consensus.getInfo(this.chain);
+  }
 
-    const block = new Block(
+  // Prepare an unsealed block on top of the tip
+  createBlockTemplate(transactions) {
+    return new Block(
       this.chain.length,
-      transactionsToMine,
-      this.getLatestBlock().hash
+      transactions,
+      this.getLatestBlock().hash,
+      Date.now(),
+      this.consensus.getNextBits(this.chain)
     );
+  }
 
-    block.mineBlock(this.difficulty);
+  // Have the consensus engine seal a block (mine it or sign it).
+  // `options` go to the engine, e.g. { threads, signal, onProgress } for proof of work.
+  async sealBlock(block, options = {}) {
+    return await this.consensus.sealBlock(block, this.chain, options);
+  }
 
-    console.log('Block successfully mined!');
-    this.chain.push(block);
+  async addTransaction(transaction) {
+    this.mempool.add(transaction);
+    await this.flush();
+  }
 
-    // Remove mined transactions from pending
-    this.pendingTransactions = this.pendingTransactions.slice(this.maxTransactionsPerBlock);
-    
-    // Save both chain and pending transactions
-    await this.saveChain();
-    await this.savePendingTransactions();
+  getBalance(address) {
+    return this.state.getBalance(address);
   }
 
-  isChainValid() {
-    const realGenesis = JSON.stringify(this.createGenesisBlock());
+  // Next nonce the address must use, counting its queued pending transactions
+  getNextNonce(address) {
+    return this.mempool.getNextNonce(address);
+  }
 
-    if (realGenesis !== JSON.stringify(this.chain[0])) {
-      return false;
-    }
+  isKnownTransaction(txId) {
+    return this.state.getTransactionLocation(txId) !== null || this.mempool.has(txId);
+  }
 
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  getAllTransactionsForWallet(address) {
+    return this.state.getTransactions(address);
+  }
 
-      if (previousBlock.hash !== currentBlock.previousHash) {
-        return false;
-      }
+  // Look up a confirmed transaction and where it sits in the chain
+  getTransaction(txId) {
+    const location = this.state.getTransactionLocation(txId);
+    if (!location) return null;
 
-      if (!currentBlock.hasValidTransactions()) {
-        return false;
-      }
+    return {
+      transaction: this.chain[location.blockIndex].transactions[location.position],
+      ...location
+    };
+  }
 
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        return false;
+  async minePendingTransactions(miningRewardAddress) {
+    const block = await this.coordinator.mine(miningRewardAddress);
+
+    console.log('Block successfully mined!');
+    return block;
+  }
+
+  // Blocks only reach the live chain through connectBlock, which validates each
+  // against its parent, so the chain is valid as long as it starts from our
+  // genesis. Cheap enough for health checks and stats; findInvalidBlock() is
+  // the full audit.
+  isChainValid() {
+    return this.chain.length > 0 && this.chain[0].hash === this.getGenesisHash();
+  }
+
+  // Replay the whole chain through validateBlock, verifying every signature
+  // again. Returns the first BlockValidationError, or null.
+  findInvalidBlock() {
+    if (JSON.stringify(this.createGenesisBlock()) !== JSON.stringify(this.chain[0])) {
+      return new BlockValidationError({ code: 'bad-genesis', message: 'Genesis block does not match the genesis spec' }, 0);
+    }
+
+    const replay = new AccountState();
+    replay.applyBlock(this.chain[0]);
+
+    for (let i = 1; i < this.chain.length; i++) {
+      const rejection = this.validateBlock(this.chain[i], replay);
+      if (rejection) {
+        return new BlockValidationError(rejection, i);
       }
+      replay.applyBlock(this.chain[i]);
     }
 
-    return true;
+    return null;
   }
 
   getChainStats() {
     return {
       height: this.chain.length,
       difficulty: this.difficulty,
-      pendingTransactions: this.pendingTransactions.length,
-      totalTransactions: this.chain.reduce((sum, block) => sum + block.transactions.length, 0),
+      bits: formatBits(this.bits),
+      chainWork: this.chainWork.toString(),
+      pendingTransactions: this.mempool.size,
+      totalTransactions: this.state.totalTransactions,
       isValid: this.isChainValid()
     };
   }
 
   // Cross-chain functionality
-  createCrossChainTransaction(fromChain, toChain, fromAddress, toAddress, amount, data) {
+  createCrossChainTransaction(fromChain, toChain, fromAddress, toAddress, amount, data, nonce = this.getNextNonce(fromAddress), fee = Transaction.bridgeFee(amount)) {
+    // Caller data may not override the route or the bridge fee
     const crossChainData = {
+      ...data,
       fromChain,
       toChain,
-      bridgeFee: amount * 0.001, // 0.1% bridge fee
-      ...data
+      bridgeFee: Transaction.bridgeFee(amount).toString() // Charged through the fee
     };
 
-    return new Transaction(fromAddress, toAddress, amount, crossChainData);
+    return new Transaction(fromAddress, toAddress, amount, crossChainData, nonce, fee, this.chainId);
   }
 
   // Tokenization features
-  createTokenTransaction(creator, tokenName, symbol, totalSupply, metadata) {
+  createTokenTransaction(creator, tokenName, symbol, totalSupply, metadata, nonce = this.getNextNonce(creator)) {
     const tokenData = {
       type: 'TOKEN_CREATION',
       tokenName,
@@ -335,6 +869,6 @@ export class Blockchain {
       timestamp: Date.now()
     };
 
-    return new Transaction(creator, creator, 0, tokenData);
+    return new Transaction(creator, creator, 0, tokenData, nonce, 0n, this.chainId);
   }
 }
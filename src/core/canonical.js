@@ -0,0 +1,72 @@
+// Canonical JSON encoding for everything that is hashed or signed.
+// Follows RFC 8785 (JSON Canonicalization Scheme) for the values we use:
+// - object keys sorted by UTF-16 code units, no whitespace;
+// - numbers in ECMAScript shortest form, and NaN or Infinity refused;
+// - BigInt written as a decimal string, the same as amounts on the wire;
+// - undefined properties left out, as in JSON.
+// Any implementation that follows these rules gets byte-identical output, so
+// transaction ids, signatures and block hashes agree across implementations.
+export class Canonical {
+  static stringify(value) {
+    if (value === null) return 'null';
+
+    switch (typeof value) {
+      case 'string':
+        return JSON.stringify(value);
+      case 'boolean':
+        return value ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error(`Cannot canonically encode ${value}`);
+        }
+        return JSON.stringify(value);
+      case 'bigint':
+        return JSON.stringify(value.toString());
+      case 'object':
+        break;
+      default:
+        throw new Error(`Cannot canonically encode a ${typeof value}`);
+    }
+
+    if (typeof value.toJSON === 'function') {
+      return Canonical.stringify(value.toJSON());
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => Canonical.stringify(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${Canonical.stringify(value[key])}`);
+
+    return `{${members.join(',')}}`;
+  }
+
+  // Fields a transaction id commits to and its signature covers
+  static transactionPayload(tx) {
+    return {
+      amount: String(tx.amount),
+      chainId: tx.chainId ?? null,
+      data: tx.data ?? {},
+      fee: String(tx.fee ?? 0),
+      fromAddress: tx.fromAddress ?? null,
+      nonce: tx.nonce,
+      timestamp: tx.timestamp,
+      toAddress: tx.toAddress
+    };
+  }
+
+  // Fields a block hash commits to; transactions enter only through the Merkle root
+  static blockHeader(block) {
+    return {
+      bits: block.bits,
+      index: block.index,
+      merkleRoot: block.merkleRoot,
+      nonce: block.nonce,
+      previousHash: block.previousHash,
+      timestamp: block.timestamp
+    };
+  }
+}
@@ -0,0 +1,353 @@
+import { Canonical } from './canonical.js';
+
+// Compact binary encoding for block headers, transactions and blocks, used on
+// the P2P wire and on disk. Hashes and signatures are still computed over the
+// canonical JSON, so this is only a transport: decoding gives back the same
+// plain object JSON.parse would, and Block.fromJSON / Transaction.fromJSON
+// rebuild the real thing from either.
+//
+// Every top-level encoding starts with a version byte. Integers are unsigned
+// LEB128 varints. Strings carry a 3-bit tag in the low bits of their length
+// prefix so hex (hashes, signatures), addresses and PEM keys travel as raw bytes.
+const VERSION = 1;
+
+const TAG_NULL = 0;
+const TAG_TEXT = 1;
+const TAG_HEX = 2;
+const TAG_ADDRESS = 3; // "K" followed by hex
+const TAG_PUBLIC_KEY = 4; // SPKI PEM, stored as DER
+
+const HEX = /^(?:[0-9a-f]{2})*$/;
+const PEM_HEADER = '-----BEGIN PUBLIC KEY-----\n';
+const PEM_FOOTER = '-----END PUBLIC KEY-----\n';
+
+class BinaryWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  byte(value) {
+    this.chunks.push(Buffer.from([value]));
+  }
+
+  bytes(buffer) {
+    this.chunks.push(buffer);
+  }
+
+  varint(value) {
+    let remaining = BigInt(value);
+    if (remaining < 0n) {
+      throw new Error(`Cannot encode negative integer ${value}`);
+    }
+
+    const out = [];
+    do {
+      const low = Number(remaining & 0x7fn);
+      remaining >>= 7n;
+      out.push(remaining > 0n ? low | 0x80 : low);
+    } while (remaining > 0n);
+    this.chunks.push(Buffer.from(out));
+  }
+
+  integer(value) {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Cannot encode ${value} as an integer`);
+    }
+    this.varint(value);
+  }
+
+  amount(value) {
+    this.varint(BigInt(String(value)));
+  }
+
+  // Length-prefixed string or null, packed as tightly as its form allows
+  string(value) {
+    if (value === null || value === undefined) {
+      this.varint(TAG_NULL);
+      return;
+    }
+
+    const text = String(value);
+    let tag = TAG_TEXT;
+    let payload;
+
+    if (HEX.test(text) && text.length > 0) {
+      tag = TAG_HEX;
+      payload = Buffer.from(text, 'hex');
+    } else if (text.startsWith('K') && HEX.test(text.slice(1)) && text.length > 1) {
+      tag = TAG_ADDRESS;
+      payload = Buffer.from(text.slice(1), 'hex');
+    } else if ((payload = BinaryWriter.pemToDer(text))) {
+      tag = TAG_PUBLIC_KEY;
+    } else {
+      payload = Buffer.from(text, 'utf8');
+    }
+
+    this.varint((BigInt(payload.length) << 3n) | BigInt(tag));
+    this.chunks.push(payload);
+  }
+
+  // DER body of a PEM key, but only if rebuilding the PEM gives back the exact text
+  static pemToDer(text) {
+    if (!text.startsWith(PEM_HEADER) || !text.endsWith(PEM_FOOTER)) return null;
+
+    const der = Buffer.from(text.slice(PEM_HEADER.length, -PEM_FOOTER.length).replace(/\n/g, ''), 'base64');
+    return BinaryReader.derToPem(der) === text ? der : null;
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+class BinaryReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Encoded data is truncated');
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  byte() {
+    return this.take(1)[0];
+  }
+
+  varint() {
+    let value = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = this.byte();
+      value |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  integer() {
+    const value = this.varint();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('Encoded integer is out of range');
+    }
+    return Number(value);
+  }
+
+  amount() {
+    return this.varint().toString();
+  }
+
+  string() {
+    const prefix = this.varint();
+    const tag = Number(prefix & 7n);
+    if (tag === TAG_NULL) return null;
+
+    const payload = this.take(Number(prefix >> 3n));
+    switch (tag) {
+      case TAG_TEXT:
+        return payload.toString('utf8');
+      case TAG_HEX:
+        return payload.toString('hex');
+      case TAG_ADDRESS:
+        return 'K' + payload.toString('hex');
+      case TAG_PUBLIC_KEY:
+        return BinaryReader.derToPem(payload);
+      default:
+        throw new Error(`Unknown string tag ${tag}`);
+    }
+  }
+
+  static derToPem(der) {
+    const lines = der.toString('base64').match(/.{1,64}/g) || [];
+    return PEM_HEADER + lines.map(line => line + '\n').join('') + PEM_FOOTER;
+  }
+
+  done() {
+    if (this.offset !== this.buffer.length) {
+      throw new Error(`${this.buffer.length - this.offset} unexpected trailing bytes`);
+    }
+  }
+}
+
+export class Codec {
+  static VERSION = VERSION;
+
+  // Identifier peers advertise in their handshake
+  static WIRE_FORMAT = `binary/${VERSION}`;
+
+  static encodeHeader(block) {
+    const writer = Codec.begin();
+    Codec.writeHeader(writer, block);
+    return writer.toBuffer();
+  }
+
+  static decodeHeader(buffer) {
+    return Codec.decode(buffer, reader => Codec.readHeader(reader));
+  }
+
+  static encodeTransaction(tx) {
+    const writer = Codec.begin();
+    Codec.writeTransaction(writer, tx);
+    return writer.toBuffer();
+  }
+
+  static decodeTransaction(buffer) {
+    return Codec.decode(buffer, reader => Codec.readTransaction(reader));
+  }
+
+  static encodeBlock(block) {
+    const writer = Codec.begin();
+    Codec.writeBlock(writer, block);
+    return writer.toBuffer();
+  }
+
+  static decodeBlock(buffer) {
+    return Codec.decode(buffer, reader => Codec.readBlock(reader));
+  }
+
+  // A run of blocks, such as a whole chain
+  static encodeBlocks(blocks) {
+    const writer = Codec.begin();
+    writer.integer(blocks.length);
+    blocks.forEach(block => Codec.writeBlock(writer, block));
+    return writer.toBuffer();
+  }
+
+  static decodeBlocks(buffer) {
+    return Codec.decode(buffer, reader => {
+      const count = reader.integer();
+      const blocks = [];
+      for (let i = 0; i < count; i++) {
+        blocks.push(Codec.readBlock(reader));
+      }
+      return blocks;
+    });
+  }
+
+  static begin() {
+    const writer = new BinaryWriter();
+    writer.byte(VERSION);
+    return writer;
+  }
+
+  static decode(buffer, read) {
+    const reader = new BinaryReader(buffer);
+    const version = reader.byte();
+    if (version !== VERSION) {
+      throw new Error(`Unsupported binary encoding version ${version}`);
+    }
+
+    const value = read(reader);
+    reader.done();
+    return value;
+  }
+
+  static writeHeader(writer, block) {
+    writer.integer(block.index);
+    writer.integer(block.timestamp);
+    writer.string(block.previousHash);
+    writer.string(block.merkleRoot);
+    writer.integer(block.bits);
+    writer.integer(block.nonce);
+  }
+
+  static readHeader(reader) {
+    return {
+      index: reader.integer(),
+      timestamp: reader.integer(),
+      previousHash: reader.string(),
+      merkleRoot: reader.string(),
+      bits: reader.integer(),
+      nonce: reader.integer()
+    };
+  }
+
+  static writeTransaction(writer, tx) {
+    writer.string(tx.fromAddress);
+    writer.string(tx.toAddress);
+    writer.amount(tx.amount);
+    writer.amount(tx.fee);
+    writer.integer(tx.nonce);
+    writer.string(tx.chainId);
+    writer.integer(tx.timestamp);
+    writer.string(Canonical.stringify(tx.data ?? {}));
+    writer.string(tx.publicKey);
+    writer.string(tx.signature);
+    writer.string(tx.id);
+  }
+
+  // Same fields, in the same order, as Transaction#toJSON
+  static readTransaction(reader) {
+    const fromAddress = reader.string();
+    const toAddress = reader.string();
+    const amount = reader.amount();
+    const fee = reader.amount();
+    const nonce = reader.integer();
+    const chainId = reader.string();
+    const timestamp = reader.integer();
+    const data = JSON.parse(reader.string());
+
+    return {
+      fromAddress,
+      toAddress,
+      amount,
+      fee,
+      nonce,
+      chainId,
+      timestamp,
+      data,
+      publicKey: reader.string(),
+      signature: reader.string(),
+      id: reader.string()
+    };
+  }
+
+  static writeBlock(writer, block) {
+    Codec.writeHeader(writer, block);
+    writer.string(block.hash);
+
+    if (block.seal) {
+      writer.byte(1);
+      writer.string(block.seal.signer);
+      writer.string(block.seal.publicKey);
+      writer.string(block.seal.signature);
+    } else {
+      writer.byte(0);
+    }
+
+    writer.integer(block.transactions.length);
+    block.transactions.forEach(tx => Codec.writeTransaction(writer, tx));
+  }
+
+  static readBlock(reader) {
+    const header = Codec.readHeader(reader);
+    const hash = reader.string();
+    const seal = reader.byte() === 1
+      ? { signer: reader.string(), publicKey: reader.string(), signature: reader.string() }
+      : null;
+
+    const count = reader.integer();
+    const transactions = [];
+    for (let i = 0; i < count; i++) {
+      transactions.push(Codec.readTransaction(reader));
+    }
+
+    return {
+      index: header.index,
+      timestamp: header.timestamp,
+      transactions,
+      previousHash: header.previousHash,
+      merkleRoot: header.merkleRoot,
+      bits: header.bits,
+      nonce: header.nonce,
+      hash,
+      seal
+    };
+  }
+}
@@ -0,0 +1,275 @@
+import { CryptoUtils } from './crypto.js';
+import { mineInWorkers } from './miner.js';
+import {
+  DifficultyAdjuster,
+  bitsToTarget,
+  hashMeetsTarget,
+  getWork,
+  getDifficulty,
+  formatBits
+} from './difficulty.js';
+
+// A consensus engine decides who may produce blocks and how competing chains
+// are ranked. The blockchain only calls these methods:
+// - getNextBits(chain): header bits for the next block
+// - sealBlock(block, chain, options): make a prepared block valid (async).
+//   `options.signal` (an AbortSignal) abandons the attempt
+// - verifySeal(block, chain): rejection { code, message } or null
+// - getBlockWork(block): weight of a block for fork choice
+// - getInfo(chain): engine state for the APIs
+export class ConsensusEngine {
+  constructor(name) {
+    this.name = name;
+  }
+
+  getNextBits(chain) {
+    throw new Error(`${this.name} engine does not implement getNextBits`);
+  }
+
+  async sealBlock(block, chain, options = {}) {
+    throw new Error(`${this.name} engine does not implement sealBlock`);
+  }
+
+  verifySeal(block, chain) {
+    throw new Error(`${this.name} engine does not implement verifySeal`);
+  }
+
+  getBlockWork(block) {
+    throw new Error(`${this.name} engine does not implement getBlockWork`);
+  }
+
+  // Total weight behind a run of blocks
+  getChainWork(blocks) {
+    return blocks.reduce((work, block) => work + this.getBlockWork(block), 0n);
+  }
+
+  // Fork choice: whether `candidate` should replace `current` (both branches
+  // from the same fork point). Ties keep the chain we already have.
+  isBetterBranch(candidate, current) {
+    return this.getChainWork(candidate) > this.getChainWork(current);
+  }
+
+  getInfo(chain) {
+    return { engine: this.name };
+  }
+}
+
+// Nakamoto proof of work with compact targets and periodic retargeting
+export class ProofOfWorkEngine extends ConsensusEngine {
+  constructor(options = {}) {
+    super('pow');
+    this.difficultyAdjuster = new DifficultyAdjuster(options);
+  }
+
+  getNextBits(chain) {
+    return this.difficultyAdjuster.getNextBits(chain);
+  }
+
+  // Grind nonces until the hash meets the block's target. With `threads` the
+  // work runs on worker threads (see mineInWorkers for `signal` and
+  // `onProgress`); otherwise it runs in this thread.
+  async sealBlock(block, chain, { threads, signal, onProgress } = {}) {
+    if (threads) {
+      await mineInWorkers(block, { threads, signal, onProgress });
+      console.log(`Block mined: ${block.hash}`);
+      return block;
+    }
+
+    const target = bitsToTarget(block.bits);
+
+    while (!hashMeetsTarget(block.hash, target)) {
+      block.nonce++;
+      block.hash = block.calculateHash();
+
+      // Prevent infinite loops in production
+      if (block.nonce > Number.MAX_SAFE_INTEGER) {
+        throw new Error('Mining timeout - nonce exceeded maximum value');
+      }
+    }
+
+    console.log(`Block mined: ${block.hash}`);
+    return block;
+  }
+
+  verifySeal(block, chain) {
+    const requiredBits = this.difficultyAdjuster.getNextBits(chain, block.index);
+    if (block.bits !== requiredBits) {
+      return { code: 'bad-bits', message: `Block bits ${formatBits(block.bits)} do not match required ${formatBits(requiredBits)}` };
+    }
+
+    if (!ProofOfWorkEngine.meetsTarget(block)) {
+      return { code: 'bad-pow', message: 'Block hash does not meet its target' };
+    }
+
+    return null;
+  }
+
+  static meetsTarget(block) {
+    return hashMeetsTarget(block.hash, bitsToTarget(block.bits));
+  }
+
+  getBlockWork(block) {
+    return getWork(block.bits);
+  }
+
+  getInfo(chain, limit = 10) {
+    const bits = this.getNextBits(chain);
+    return {
+      engine: this.name,
+      bits: formatBits(bits),
+      target: bitsToTarget(bits).toString(16).padStart(64, '0'),
+      difficulty: getDifficulty(bits),
+      targetBlockTime: this.difficultyAdjuster.blockTime,
+      retargetInterval: this.difficultyAdjuster.retargetInterval,
+      nextRetargetHeight: this.difficultyAdjuster.getNextRetargetHeight(chain.length - 1),
+      history: this.difficultyAdjuster.getRetargetHistory(chain, limit)
+    };
+  }
+}
+
+// Proof of authority for development networks: a fixed set of signers take
+// turns sealing blocks with their keys, at most one block per `period` ms.
+// Any signer may seal, but the in-turn signer's block weighs more, so chains
+// follow the rotation when everyone is online. A signer may not seal again
+// until floor(signers / 2) other blocks have followed its last one.
+export class ProofOfAuthorityEngine extends ConsensusEngine {
+  constructor({ signers, period, signerKey = null }) {
+    super('poa');
+    this.signers = signers;
+    this.period = period;
+    this.signerKey = signerKey;
+    this.signerAddress = signerKey
+      ? CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(signerKey))
+      : null;
+
+    if (this.signerAddress && !signers.includes(this.signerAddress)) {
+      console.warn(`⚠️ Configured signer key ${this.signerAddress} is not in the authority set`);
+    }
+  }
+
+  // Authority blocks carry no proof-of-work target
+  getNextBits() {
+    return 0;
+  }
+
+  getInTurnSigner(height) {
+    return this.signers[height % this.signers.length];
+  }
+
+  // Signers of the blocks that currently bar their signer from sealing `height`
+  getRecentSigners(chain, height) {
+    const limit = Math.floor(this.signers.length / 2);
+    return chain
+      .slice(Math.max(1, height - limit), height)
+      .map(block => block.seal?.signer);
+  }
+
+  async sealBlock(block, chain, { signal } = {}) {
+    if (!this.signerKey) {
+      throw new Error('This node has no authority signer key configured');
+    }
+
+    if (!this.signers.includes(this.signerAddress)) {
+      throw new Error(`${this.signerAddress} is not an authorised signer`);
+    }
+
+    // Not our turn yet: callers wait a period and try again on the new tip
+    if (this.getRecentSigners(chain, block.index).includes(this.signerAddress)) {
+      const error = new Error('Signed too recently; waiting for other authorities');
+      error.code = 'recent-signer';
+      throw error;
+    }
+
+    // Hold the block until the period since its parent has passed
+    const parent = chain[block.index - 1];
+    const earliest = parent.timestamp + this.period;
+    const wait = earliest - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, wait);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      });
+    }
+    signal?.throwIfAborted();
+
+    block.timestamp = Math.max(Date.now(), earliest);
+    block.hash = block.calculateHash();
+    block.seal = {
+      signer: this.signerAddress,
+      publicKey: CryptoUtils.getPublicKeyPem(this.signerKey),
+      signature: CryptoUtils.sign(block.hash, this.signerKey)
+    };
+
+    console.log(`Block sealed by ${this.signerAddress}: ${block.hash}`);
+    return block;
+  }
+
+  verifySeal(block, chain) {
+    if (block.bits !== 0) {
+      return { code: 'bad-bits', message: 'Authority blocks must not carry a proof-of-work target' };
+    }
+
+    const seal = block.seal;
+    if (!seal || typeof seal.publicKey !== 'string' || typeof seal.signature !== 'string') {
+      return { code: 'bad-seal', message: 'Block is not sealed' };
+    }
+
+    if (CryptoUtils.generateAddress(seal.publicKey) !== seal.signer || !this.signers.includes(seal.signer)) {
+      return { code: 'bad-signer', message: `Block sealed by ${seal.signer}, which is not an authorised signer` };
+    }
+
+    if (!CryptoUtils.verify(block.hash, seal.signature, seal.publicKey)) {
+      return { code: 'bad-seal', message: 'Block seal signature is invalid' };
+    }
+
+    if (this.getRecentSigners(chain, block.index).includes(seal.signer)) {
+      return { code: 'recent-signer', message: `${seal.signer} sealed one of the last blocks` };
+    }
+
+    const parent = chain[block.index - 1];
+    if (block.timestamp < parent.timestamp + this.period) {
+      return { code: 'time-too-soon', message: `Block sealed less than ${this.period}ms after its parent` };
+    }
+
+    return null;
+  }
+
+  getBlockWork(block) {
+    if (block.index === 0) return 1n;
+    return block.seal?.signer === this.getInTurnSigner(block.index) ? 2n : 1n;
+  }
+
+  getInfo(chain) {
+    return {
+      engine: this.name,
+      signers: this.signers,
+      period: this.period,
+      localSigner: this.signerAddress,
+      nextInTurnSigner: this.getInTurnSigner(chain.length)
+    };
+  }
+}
+
+// Build the engine a genesis spec selects. Every consensus parameter comes
+// from the spec; `options` carries node-local settings (the PoA signer key).
+export function createConsensusEngine(spec = { engine: 'pow' }, options = {}) {
+  switch (spec.engine) {
+    case 'pow':
+      return new ProofOfWorkEngine({
+        blockTime: spec.blockTime,
+        retargetInterval: spec.retargetInterval,
+        maxAdjustmentFactor: spec.maxAdjustmentFactor
+      });
+    case 'poa':
+      return new ProofOfAuthorityEngine({
+        signers: spec.signers,
+        period: spec.period,
+        signerKey: options.signerKey
+      });
+    default:
+      throw new Error(`Unknown consensus engine: ${spec.engine}`);
+  }
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { Block, BlockValidationError } from './blockchain.js';
+
+// Templates handed out by issueTemplate that are kept for submission
+const MAX_TEMPLATES = 64;
+
+// Every block this node produces goes through one coordinator, whoever mines
+// it: local mining jobs, minePendingTransactions, external miners working on
+// templates and the mining pool. It builds their work on the current tip,
+// abandons that work as soon as the tip moves, and accepts finished blocks one
+// at a time against the tip they were built on, persisting each before it
+// reports success. Blocks from peers arrive through the node instead.
+export class BlockCoordinator {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.templates = new Map(); // templateId -> { block, solvedHash }
+    this.tipController = new AbortController();
+
+    // Sealing in progress on the old tip can only produce a stale block
+    this.blockchain.on('block:connected', () => this.invalidateWork());
+    this.blockchain.on('block:disconnected', () => this.invalidateWork());
+  }
+
+  invalidateWork() {
+    const error = new Error('Chain tip changed');
+    error.code = 'stale';
+    this.tipController.abort(error);
+    this.tipController = new AbortController();
+  }
+
+  // Unsealed block on the tip carrying the highest-paying pending transactions
+  // and a reward paying `minerAddress` the block subsidy plus their fees
+  buildTemplate(minerAddress) {
+    const transactions = this.blockchain.mempool.selectTransactions(this.blockchain.maxTransactionsPerBlock - 1);
+    transactions.push(this.blockchain.createRewardTransaction(minerAddress, transactions));
+
+    return this.blockchain.createBlockTemplate(transactions);
+  }
+
+  // A template remembered under an id, for a miner outside this process to
+  // solve and hand back to submitTemplate
+  issueTemplate(minerAddress) {
+    const block = this.buildTemplate(minerAddress);
+    const templateId = crypto.randomUUID();
+
+    this.templates.set(templateId, { block, solvedHash: null });
+    if (this.templates.size > MAX_TEMPLATES) {
+      this.templates.delete(this.templates.keys().next().value);
+    }
+
+    return { templateId, block };
+  }
+
+  // Build, seal and accept one block paying `minerAddress`. `options` go to the
+  // consensus engine; sealing is abandoned with a 'stale' error when the tip
+  // moves, or with the reason `options.signal` gives.
+  async mine(minerAddress, { signal = null, ...options } = {}) {
+    const block = this.buildTemplate(minerAddress);
+    const tipSignal = this.tipController.signal;
+
+    await this.blockchain.sealBlock(block, {
+      ...options,
+      signal: signal ? AbortSignal.any([signal, tipSignal]) : tipSignal
+    });
+
+    const rejection = await this.acceptBlock(block);
+    if (rejection) {
+      throw new BlockValidationError(rejection, block.index);
+    }
+    return block;
+  }
+
+  // Fill a solved template's `nonce` (and optionally `timestamp`) into a copy
+  // and accept it. Resolves with { block } or { block, rejection }.
+  async submitTemplate(templateId, { nonce, timestamp }) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      return { block: null, rejection: { code: 'unknown-template', message: 'Unknown or expired template' } };
+    }
+
+    // The copy leaves the template reusable for another attempt
+    const block = new Block(
+      template.block.index,
+      template.block.transactions,
+      template.block.previousHash,
+      timestamp ?? template.block.timestamp,
+      template.block.bits
+    );
+    block.nonce = nonce;
+    block.hash = block.calculateHash();
+
+    if (template.solvedHash) {
+      const message = template.solvedHash === block.hash
+        ? 'Block was already submitted'
+        : `Template was already solved by block ${template.solvedHash}`;
+      return { block, rejection: { code: 'duplicate', message } };
+    }
+
+    const rejection = this.connectBlock(block);
+    if (rejection) {
+      return { block, rejection };
+    }
+
+    template.solvedHash = block.hash;
+    await this.blockchain.flush();
+    return { block, rejection: null };
+  }
+
+  // Connect a finished block and wait until it is stored. Resolves with the
+  // rejection { code, message }, or null once the block is on the chain.
+  async acceptBlock(block) {
+    const rejection = this.connectBlock(block);
+    if (rejection) return rejection;
+
+    await this.blockchain.flush();
+    return null;
+  }
+
+  // Validate against the tip and connect, all in one turn of the event loop,
+  // so two blocks built on the same tip can never both be connected
+  connectBlock(block) {
+    const tip = this.blockchain.getLatestBlock();
+    if (block.previousHash !== tip.hash) {
+      return { code: 'stale', message: `Block builds on a block that is no longer the tip (#${tip.index})` };
+    }
+
+    const rejection = this.blockchain.validateBlock(block);
+    if (rejection) return rejection;
+
+    // Connecting moves the tip, which invalidates every other miner's work
+    this.blockchain.connectBlock(block, { validated: true });
+    return null;
+  }
+}
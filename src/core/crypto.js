@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import { scryptSync, randomBytes } from 'crypto';
+import { Canonical } from './canonical.js';
 
 export class CryptoUtils {
   static ALGORITHM = 'aes-256-gcm';
@@ -80,24 +81,38 @@ export class CryptoUtils {
     return { publicKey, privateKey };
   }
 
+  // Pick the digest for a key - Ed25519/Ed448 hash internally and take none
+  static signatureDigest(key) {
+    const keyType = key.asymmetricKeyType;
+    return keyType === 'ed25519' || keyType === 'ed448' ? null : 'sha256';
+  }
+
   // Sign message with private key
   static sign(message, privateKey) {
-    const sign = crypto.createSign('SHA256');
-    sign.update(message);
-    return sign.sign(privateKey, 'hex');
+    const key = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+    return crypto.sign(this.signatureDigest(key), Buffer.from(message), key).toString('hex');
   }
 
   // Verify signature
   static verify(message, signature, publicKey) {
     try {
-      const verify = crypto.createVerify('SHA256');
-      verify.update(message);
-      return verify.verify(publicKey, signature, 'hex');
+      const key = crypto.createPublicKey(publicKey);
+      return crypto.verify(
+        this.signatureDigest(key),
+        Buffer.from(message),
+        key,
+        Buffer.from(signature, 'hex')
+      );
     } catch (error) {
       return false;
     }
   }
 
+  // Derive the PEM (SPKI) public key for a private key
+  static getPublicKeyPem(privateKey) {
+    return crypto.createPublicKey(privateKey).export({ format: 'pem', type: 'spki' });
+  }
+
   // Generate wallet address from public key
   static generateAddress(publicKey) {
     const hash = crypto.createHash('sha256')
@@ -141,10 +156,10 @@ export class CryptoUtils {
     }
   }
 
-  // Create secure hash for proof of work
+  // SHA-256 of the canonical encoding, so equal data always hashes the same
   static createHash(data) {
     return crypto.createHash('sha256')
-      .update(JSON.stringify(data))
+      .update(Canonical.stringify(data))
       .digest('hex');
   }
 
@@ -183,29 +198,14 @@ export class SecureWallet {
     return CryptoUtils.decrypt(encryptedPrivateKey, key);
   }
 
-  // Sign transaction
+  // Sign a transaction's id (the hash of its canonical payload), exactly as
+  // Transaction.signTransaction does
   signTransaction(transaction, privateKey) {
-    const message = JSON.stringify({
-      from: transaction.fromAddress,
-      to: transaction.toAddress,
-      amount: transaction.amount,
-      timestamp: transaction.timestamp,
-      data: transaction.data
-    });
-    
-    return CryptoUtils.sign(message, privateKey);
+    return CryptoUtils.sign(CryptoUtils.createHash(Canonical.transactionPayload(transaction)), privateKey);
   }
 
   // Verify transaction signature
   static verifyTransaction(transaction, signature, publicKey) {
-    const message = JSON.stringify({
-      from: transaction.fromAddress,
-      to: transaction.toAddress,
-      amount: transaction.amount,
-      timestamp: transaction.timestamp,
-      data: transaction.data
-    });
-    
-    return CryptoUtils.verify(message, signature, publicKey);
+    return CryptoUtils.verify(CryptoUtils.createHash(Canonical.transactionPayload(transaction)), signature, publicKey);
   }
 }
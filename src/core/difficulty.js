@@ -0,0 +1,135 @@
+// Proof-of-work targets in compact "bits" form: one byte of size, three of mantissa.
+// A block is valid when its hash, read as a 256-bit integer, is at or below the target.
+export const POW_LIMIT_BITS = 0x2000ffff; // Easiest allowed target, about 1 in 256 hashes
+
+const TWO_256 = 1n << 256n;
+
+// Expand compact bits into the full 256-bit target
+export function bitsToTarget(bits) {
+  const size = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+
+  if (bits & 0x00800000) {
+    throw new Error('Negative targets are not allowed');
+  }
+
+  return size <= 3
+    ? mantissa >> BigInt(8 * (3 - size))
+    : mantissa << BigInt(8 * (size - 3));
+}
+
+// Compress a target into bits, dropping precision below the top three bytes
+export function targetToBits(target) {
+  let size = target === 0n ? 0 : Math.ceil(target.toString(16).length / 2);
+  let mantissa = size <= 3
+    ? Number(target << BigInt(8 * (3 - size)))
+    : Number(target >> BigInt(8 * (size - 3)));
+
+  // Keep the sign bit clear by moving a byte into the exponent
+  if (mantissa & 0x00800000) {
+    mantissa >>= 8;
+    size++;
+  }
+
+  return ((size << 24) | mantissa) >>> 0;
+}
+
+export const POW_LIMIT = bitsToTarget(POW_LIMIT_BITS);
+
+export function hashMeetsTarget(hash, target) {
+  return BigInt('0x' + hash) <= target;
+}
+
+// Expected number of hashes to find a block at these bits
+export function getWork(bits) {
+  return TWO_256 / (bitsToTarget(bits) + 1n);
+}
+
+// Human-readable difficulty relative to the proof-of-work limit
+export function getDifficulty(bits) {
+  return Number(POW_LIMIT) / Number(bitsToTarget(bits));
+}
+
+export function formatBits(bits) {
+  return '0x' + bits.toString(16).padStart(8, '0');
+}
+
+// Difficulty retargeting toward the configured block time
+export class DifficultyAdjuster {
+  constructor({ blockTime = 2500, retargetInterval = 10, maxAdjustmentFactor = 4 } = {}) {
+    this.blockTime = blockTime;
+    this.retargetInterval = retargetInterval;
+    this.maxAdjustmentFactor = maxAdjustmentFactor;
+  }
+
+  isRetargetHeight(height) {
+    return height > 0 && height % this.retargetInterval === 0;
+  }
+
+  getNextRetargetHeight(height) {
+    return Math.ceil((height + 1) / this.retargetInterval) * this.retargetInterval;
+  }
+
+  // Bits required for the block at `height`, given the blocks before it
+  getNextBits(chain, height = chain.length) {
+    const parent = chain[height - 1];
+    if (!this.isRetargetHeight(height)) {
+      return parent.bits;
+    }
+
+    return this.calculateRetarget(chain, height).bits;
+  }
+
+  // Measure the last window and scale the target by how far off it was.
+  // The genesis timestamp is fixed in the spec, so the window never reaches back to it.
+  calculateRetarget(chain, height) {
+    const parent = chain[height - 1];
+    const first = chain[Math.max(1, height - this.retargetInterval)];
+    const gaps = parent.index - first.index;
+
+    if (gaps < 1) {
+      return { bits: parent.bits, actualTimespan: 0, expectedTimespan: 0 };
+    }
+
+    const expectedTimespan = gaps * this.blockTime;
+    const actualTimespan = parent.timestamp - first.timestamp;
+    const clampedTimespan = Math.min(
+      Math.max(actualTimespan, expectedTimespan / this.maxAdjustmentFactor),
+      expectedTimespan * this.maxAdjustmentFactor
+    );
+
+    let target = bitsToTarget(parent.bits) * BigInt(Math.round(clampedTimespan)) / BigInt(expectedTimespan);
+    if (target > POW_LIMIT) {
+      target = POW_LIMIT;
+    }
+
+    return { bits: targetToBits(target), actualTimespan, expectedTimespan };
+  }
+
+  // Recent retargets, newest first
+  getRetargetHistory(chain, limit = 10) {
+    const history = [];
+    let height = chain.length - 1 - ((chain.length - 1) % this.retargetInterval);
+
+    while (height > 0 && history.length < limit) {
+      const block = chain[height];
+      const previousBits = chain[height - 1].bits;
+      const { actualTimespan, expectedTimespan } = this.calculateRetarget(chain, height);
+
+      history.push({
+        height,
+        timestamp: block.timestamp,
+        previousBits: formatBits(previousBits),
+        bits: formatBits(block.bits),
+        previousDifficulty: getDifficulty(previousBits),
+        difficulty: getDifficulty(block.bits),
+        actualTimespan,
+        expectedTimespan
+      });
+
+      height -= this.retargetInterval;
+    }
+
+    return history;
+  }
+}
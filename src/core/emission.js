@@ -0,0 +1,58 @@
+import { Amount } from './amount.js';
+
+// Block subsidy schedule. The reward starts at `initialReward`, halves every
+// `halvingInterval` blocks, and stops once `premine` plus everything mined
+// reaches `maxSupply`; the block that reaches the cap gets only the remainder.
+export class EmissionSchedule {
+  constructor({ initialReward, halvingInterval, maxSupply, premine = 0n }) {
+    this.initialReward = Amount.from(initialReward);
+    this.halvingInterval = halvingInterval;
+    this.maxSupply = Amount.from(maxSupply);
+    this.premine = Amount.from(premine);
+
+    if (!Number.isInteger(halvingInterval) || halvingInterval < 1) {
+      throw new Error('Halving interval must be a positive integer');
+    }
+
+    if (this.premine > this.maxSupply) {
+      throw new Error('Genesis allocations exceed the maximum supply');
+    }
+  }
+
+  // Reward before the supply cap for a block at `height`
+  getScheduledReward(height) {
+    const halvings = Math.floor(height / this.halvingInterval);
+    return halvings >= 64 ? 0n : this.initialReward >> BigInt(halvings);
+  }
+
+  // Total issued once the block at `height` is mined, premine included
+  getIssuedThrough(height) {
+    let mined = 0n;
+
+    // Sum whole eras at a time: every block in an era earns the same reward
+    for (let eraStart = 0; eraStart <= height; eraStart += this.halvingInterval) {
+      const reward = this.getScheduledReward(eraStart);
+      if (reward === 0n) break;
+
+      const first = Math.max(1, eraStart);
+      const last = Math.min(height, eraStart + this.halvingInterval - 1);
+      if (last >= first) {
+        mined += reward * BigInt(last - first + 1);
+      }
+    }
+
+    const issued = this.premine + mined;
+    return issued > this.maxSupply ? this.maxSupply : issued;
+  }
+
+  // Subsidy the reward transaction at `height` may claim, on top of fees
+  getBlockReward(height) {
+    if (height < 1) return 0n;
+    return this.getIssuedThrough(height) - this.getIssuedThrough(height - 1);
+  }
+
+  // First height above `height` whose reward is halved
+  getNextHalvingHeight(height) {
+    return (Math.floor(height / this.halvingInterval) + 1) * this.halvingInterval;
+  }
+}
@@ -0,0 +1,89 @@
+import { Mempool } from './mempool.js';
+
+export const DEFAULT_CONFIRMATION_TARGETS = [1, 2, 3, 6];
+export const DEFAULT_CONFIRMATION_TARGET = 2;
+
+// Fee-rate suggestions, in base units per 1000 bytes, for getting a transaction
+// mined within a number of blocks. Two signals are combined and the higher wins:
+// - history: what recent blocks accepted, asking for a higher percentile of
+//   those rates the sooner the confirmation is wanted;
+// - backlog: the rate needed to outbid enough of the current mempool to fit
+//   inside the blocks before the target.
+export class FeeEstimator {
+  constructor(blockchain, { sampleBlocks = 20 } = {}) {
+    this.blockchain = blockchain;
+    this.sampleBlocks = sampleBlocks;
+  }
+
+  // Fee rate of every non-reward transaction in the last `sampleBlocks` blocks
+  getRecentFeeRates() {
+    return this.blockchain.chain
+      .slice(1)
+      .slice(-this.sampleBlocks)
+      .flatMap(block => block.transactions.filter(tx => tx.fromAddress))
+      .map(tx => ({ rate: FeeEstimator.feeRate(tx.fee, Mempool.sizeOf(tx)), size: Mempool.sizeOf(tx) }));
+  }
+
+  static feeRate(fee, size) {
+    return fee * 1000n / BigInt(size);
+  }
+
+  // Value at fraction `p` of an ascending BigInt list
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0n;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+
+  // Rate a transaction must beat to be among the first `target` blocks' worth
+  // of the mempool, taking the highest rates first
+  getBacklogRate(target) {
+    const capacity = (this.blockchain.maxTransactionsPerBlock - 1) * target;
+    const pending = [...this.blockchain.mempool.entries.values()]
+      .map(entry => FeeEstimator.feeRate(entry.fee, entry.size))
+      .sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+
+    return pending.length < capacity ? 0n : pending[capacity - 1] + 1n;
+  }
+
+  estimate(targets = DEFAULT_CONFIRMATION_TARGETS) {
+    const recent = this.getRecentFeeRates();
+    const rates = recent.map(sample => sample.rate).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const sizes = recent.map(sample => sample.size).sort((a, b) => a - b);
+    const minRelayFeeRate = this.blockchain.mempool.minRelayFeeRate;
+
+    // Fall back to a simple transfer's size until blocks carry transactions
+    const typicalSize = sizes.length > 0 ? sizes[Math.floor(sizes.length / 2)] : 600;
+
+    const estimates = targets.map(target => {
+      // Next block: 85th percentile of recent rates, easing by 15 points per extra block
+      const historyRate = FeeEstimator.percentile(rates, Math.max(0.1, 1 - 0.15 * target));
+      const backlogRate = this.getBacklogRate(target);
+
+      let feeRate = minRelayFeeRate;
+      if (historyRate > feeRate) feeRate = historyRate;
+      if (backlogRate > feeRate) feeRate = backlogRate;
+
+      return {
+        target,
+        feeRate,
+        typicalFee: (feeRate * BigInt(typicalSize) + 999n) / 1000n,
+        historyRate,
+        backlogRate
+      };
+    });
+
+    return {
+      estimates,
+      typicalSize,
+      minRelayFeeRate,
+      sampledBlocks: Math.min(this.sampleBlocks, this.blockchain.chain.length - 1),
+      sampledTransactions: recent.length,
+      mempool: this.blockchain.mempool.getStats()
+    };
+  }
+
+  // Suggested fee rate for a single confirmation target
+  getFeeRate(target = DEFAULT_CONFIRMATION_TARGET) {
+    return this.estimate([target]).estimates[0].feeRate;
+  }
+}
@@ -0,0 +1,51 @@
+// Hashrate windows reported for mining jobs, in ms
+export const HASHRATE_WINDOWS = { '1m': 60000, '5m': 300000, '15m': 900000 };
+
+// Measured hashes per second over sliding windows. Miners report how many
+// hashes they did over how long; idle time between reports (a new template,
+// a restart) is not counted, so the rate is the speed while hashing.
+export class HashRateMeter {
+  constructor(maxWindow = Math.max(...Object.values(HASHRATE_WINDOWS))) {
+    this.maxWindow = maxWindow;
+    this.samples = []; // { time, hashes, elapsed }, oldest first
+    this.totalHashes = 0;
+    this.totalElapsed = 0;
+  }
+
+  // `hashes` done in the `elapsed` ms up to `now`
+  record(hashes, elapsed, now = Date.now()) {
+    this.samples.push({ time: now, hashes, elapsed });
+    this.totalHashes += hashes;
+    this.totalElapsed += elapsed;
+    this.prune(now);
+  }
+
+  prune(now) {
+    while (this.samples.length > 0 && this.samples[0].time <= now - this.maxWindow) {
+      this.samples.shift();
+    }
+  }
+
+  // Hashes per second over reports from the last `window` ms
+  getRate(window = HASHRATE_WINDOWS['1m'], now = Date.now()) {
+    let hashes = 0;
+    let elapsed = 0;
+    for (let i = this.samples.length - 1; i >= 0 && this.samples[i].time > now - window; i--) {
+      hashes += this.samples[i].hashes;
+      elapsed += this.samples[i].elapsed;
+    }
+    return elapsed > 0 ? Math.round(hashes * 1000 / elapsed) : 0;
+  }
+
+  // Rate for every standard window
+  getRates(now = Date.now()) {
+    return Object.fromEntries(
+      Object.entries(HASHRATE_WINDOWS).map(([name, window]) => [name, this.getRate(window, now)])
+    );
+  }
+
+  // Hashes per second over everything ever recorded
+  getAverageRate() {
+    return this.totalElapsed > 0 ? Math.round(this.totalHashes * 1000 / this.totalElapsed) : 0;
+  }
+}
@@ -0,0 +1,365 @@
+import { EventEmitter } from 'events';
+
+// A transaction the mempool refused; the message says why
+export class TransactionRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionRejectedError';
+  }
+}
+
+// Pool of unconfirmed transactions, queued per sender in nonce order.
+// Every queue starts at the sender's confirmed nonce and has no gaps, and a
+// sender can never have more queued than their confirmed balance covers.
+// Emits 'tx:accepted' { transaction } and 'tx:evicted' { transaction, reason }.
+export class Mempool extends EventEmitter {
+  constructor(state, { chainId = null, maxTransactions = 5000, maxBytes = 5000000, maxAge = 10800000, minRelayFeeRate = 1000 } = {}) {
+    super();
+    this.state = state;
+    this.chainId = chainId; // Only transactions signed for this network are accepted
+    this.maxTransactions = maxTransactions;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge; // ms a transaction may wait before it is dropped
+    this.minRelayFeeRate = BigInt(minRelayFeeRate); // Base units per 1000 bytes
+    this.clear();
+  }
+
+  clear() {
+    this.entries = new Map(); // txId -> { transaction, size, fee, addedAt }
+    this.queues = new Map(); // sender -> [txId] in nonce order
+    this.totalBytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  static sizeOf(transaction) {
+    return Buffer.byteLength(JSON.stringify(transaction));
+  }
+
+  // Fee for this transaction at `feeRate` base units per 1000 bytes,
+  // plus the bridge fee when it crosses chains
+  static calculateFee(transaction, feeRate) {
+    const size = BigInt(Mempool.sizeOf(transaction));
+    return (size * BigInt(feeRate) + 999n) / 1000n + transaction.getRequiredBridgeFee();
+  }
+
+  // Lowest fee relayed for this transaction
+  getMinimumFee(transaction) {
+    return Mempool.calculateFee(transaction, this.minRelayFeeRate);
+  }
+
+  // Admit a signed transaction, throwing with the reason when it is refused.
+  // Returns the transactions evicted to make room for it.
+  add(transaction, now = Date.now()) {
+    if (!transaction.fromAddress || !transaction.toAddress) {
+      throw new TransactionRejectedError('Transaction must include from and to address');
+    }
+
+    if (typeof transaction.amount !== 'bigint' || transaction.amount <= 0n) {
+      throw new TransactionRejectedError('Transaction amount should be higher than 0');
+    }
+
+    // Checked again by isValid; this gives the peer or caller the reason
+    for (const field of ['nonce', 'timestamp']) {
+      if (!Number.isSafeInteger(transaction[field]) || transaction[field] < 0) {
+        throw new TransactionRejectedError(`Transaction ${field} must be a non-negative integer`);
+      }
+    }
+
+    if (transaction.chainId !== this.chainId) {
+      throw new TransactionRejectedError(`Transaction is for chain "${transaction.chainId}", but this node is on "${this.chainId}"`);
+    }
+
+    if (this.has(transaction.id) || this.state.getTransactionLocation(transaction.id)) {
+      throw new TransactionRejectedError('Transaction already known');
+    }
+
+    if (!transaction.isValid()) {
+      throw new TransactionRejectedError('Cannot add invalid transaction to chain');
+    }
+
+    const minimumFee = this.getMinimumFee(transaction);
+    if (transaction.fee < minimumFee) {
+      throw new TransactionRejectedError(`Fee ${transaction.fee} is below the minimum of ${minimumFee}`);
+    }
+
+    const rejection = this.checkAdmission(transaction);
+    if (rejection) {
+      throw new TransactionRejectedError(rejection);
+    }
+
+    const size = Mempool.sizeOf(transaction);
+    if (size > this.maxBytes) {
+      throw new TransactionRejectedError(`Transaction is ${size} bytes, larger than the mempool limit`);
+    }
+
+    this.insert({ transaction, size, fee: transaction.fee, addedAt: now });
+
+    // The new transaction may itself be the cheapest; it was never accepted, so it isn't announced
+    const evictions = this.trimToLimits(now);
+    const rejected = evictions.some(eviction => eviction.transaction.id === transaction.id);
+    this.announceEvictions(evictions.filter(eviction => eviction.transaction.id !== transaction.id));
+
+    if (rejected) {
+      throw new TransactionRejectedError('Mempool is full and the transaction fee is too low');
+    }
+
+    this.emit('tx:accepted', { transaction });
+    return evictions.map(eviction => eviction.transaction);
+  }
+
+  // Nonce and pending-aware balance checks against the current queues
+  checkAdmission(transaction) {
+    const expectedNonce = this.getNextNonce(transaction.fromAddress);
+    if (transaction.nonce !== expectedNonce) {
+      return `Invalid nonce: expected ${expectedNonce}, got ${transaction.nonce}`;
+    }
+
+    if (this.getAvailableBalance(transaction.fromAddress) < transaction.amount + transaction.fee) {
+      return 'Not enough balance to cover this and pending transactions';
+    }
+
+    return null;
+  }
+
+  insert(entry) {
+    const { transaction } = entry;
+    this.entries.set(transaction.id, entry);
+    this.totalBytes += entry.size;
+
+    if (!this.queues.has(transaction.fromAddress)) {
+      this.queues.set(transaction.fromAddress, []);
+    }
+    this.queues.get(transaction.fromAddress).push(transaction.id);
+  }
+
+  // Drop a transaction and everything its sender queued after it, since
+  // those later nonces can no longer be mined. Returns the removed transactions.
+  remove(txId) {
+    const entry = this.entries.get(txId);
+    if (!entry) return [];
+
+    const sender = entry.transaction.fromAddress;
+    const queue = this.queues.get(sender);
+    const removedIds = queue.splice(queue.indexOf(txId));
+    if (queue.length === 0) {
+      this.queues.delete(sender);
+    }
+
+    return removedIds.map(id => {
+      const removed = this.entries.get(id);
+      this.entries.delete(id);
+      this.totalBytes -= removed.size;
+      return removed.transaction;
+    });
+  }
+
+  // Expire old transactions, then evict the cheapest until within limits.
+  // Returns the evicted transactions.
+  enforceLimits(now = Date.now()) {
+    const evictions = this.trimToLimits(now);
+    this.announceEvictions(evictions);
+    return evictions.map(eviction => eviction.transaction);
+  }
+
+  // Only the last transaction of a sender's queue is eligible, so eviction
+  // never leaves a nonce gap behind it. Returns [{ transaction, reason }].
+  trimToLimits(now) {
+    const evicted = [];
+    const because = reason => transaction => evicted.push({ transaction, reason });
+
+    for (const entry of [...this.entries.values()]) {
+      if (now - entry.addedAt > this.maxAge && this.entries.has(entry.transaction.id)) {
+        this.remove(entry.transaction.id).forEach(because('expired'));
+      }
+    }
+
+    while (this.entries.size > this.maxTransactions || this.totalBytes > this.maxBytes) {
+      let cheapest = null;
+      for (const queue of this.queues.values()) {
+        const tail = this.entries.get(queue[queue.length - 1]);
+        if (!cheapest || Mempool.compareEviction(tail, cheapest) < 0) {
+          cheapest = tail;
+        }
+      }
+      this.remove(cheapest.transaction.id).forEach(because('mempool-full'));
+    }
+
+    return evicted;
+  }
+
+  announceEvictions(evictions) {
+    if (evictions.length > 0) {
+      console.log(`🗑️ Evicted ${evictions.length} transactions from the mempool`);
+    }
+
+    for (const eviction of evictions) {
+      this.emit('tx:evicted', eviction);
+    }
+  }
+
+  // Lower fee per byte is evicted first, then the older of two equal offers
+  static compareEviction(a, b) {
+    return Mempool.compareFeeRate(a, b) || a.addedAt - b.addedAt;
+  }
+
+  // Order two { fee, size } offers by fee per byte without leaving integers
+  static compareFeeRate(a, b) {
+    const rateA = a.fee * BigInt(b.size);
+    const rateB = b.fee * BigInt(a.size);
+    return rateA === rateB ? 0 : rateA < rateB ? -1 : 1;
+  }
+
+  // Re-check every queue against the current chain state: drop what was
+  // confirmed, then anything whose nonce or funding no longer lines up.
+  // Called after each new block and after reorganisations.
+  revalidate(now = Date.now()) {
+    const entries = [...this.entries.values()];
+    this.clear();
+
+    const dropped = [];
+    for (const entry of entries) {
+      const { transaction } = entry;
+      if (this.state.getTransactionLocation(transaction.id)) {
+        continue;
+      }
+
+      if (this.checkAdmission(transaction)) {
+        dropped.push(transaction);
+        continue;
+      }
+
+      this.insert(entry);
+    }
+
+    if (dropped.length > 0) {
+      console.log(`🧹 Dropped ${dropped.length} pending transactions that no longer fit the chain`);
+      dropped.forEach(transaction => this.emit('tx:evicted', { transaction, reason: 'invalid' }));
+    }
+
+    return this.enforceLimits(now);
+  }
+
+  // Return transactions from abandoned blocks to the pool ahead of anything
+  // queued after them. Returns how many were taken back.
+  reinject(transactions, now = Date.now()) {
+    const existing = [...this.entries.values()];
+    const orphaned = transactions
+      .filter(tx => tx.fromAddress && !this.state.getTransactionLocation(tx.id))
+      .map(transaction => ({ transaction, size: Mempool.sizeOf(transaction), fee: transaction.fee, addedAt: now }));
+
+    this.clear();
+    [...orphaned, ...existing].sort((a, b) => a.transaction.nonce - b.transaction.nonce).forEach(entry => {
+      if (!this.has(entry.transaction.id)) this.insert(entry);
+    });
+    this.revalidate(now);
+
+    // Back in the pool after their block was abandoned
+    const returned = orphaned.filter(entry => this.has(entry.transaction.id));
+    returned.forEach(({ transaction }) => this.emit('tx:accepted', { transaction }));
+    return returned.length;
+  }
+
+  // Load persisted transactions, keeping only those that still verify
+  load(transactions, now = Date.now()) {
+    this.clear();
+    for (const transaction of transactions) {
+      try {
+        this.add(transaction, now);
+      } catch (error) {
+        // Stale or invalid after a restart; leave it out
+      }
+    }
+  }
+
+  has(txId) {
+    return this.entries.has(txId);
+  }
+
+  get(txId) {
+    return this.entries.get(txId)?.transaction || null;
+  }
+
+  // Next nonce the address must use, counting its queued transactions
+  getNextNonce(address) {
+    return this.state.getNonce(address) + (this.queues.get(address)?.length || 0);
+  }
+
+  // Amount plus fees the address has committed to queued transactions
+  getPendingSpend(address) {
+    return (this.queues.get(address) || []).reduce((total, id) => {
+      const { transaction } = this.entries.get(id);
+      return total + transaction.amount + transaction.fee;
+    }, 0n);
+  }
+
+  getAvailableBalance(address) {
+    return this.state.getBalance(address) - this.getPendingSpend(address);
+  }
+
+  // All pending transactions, oldest first
+  getTransactions() {
+    return [...this.entries.values()]
+      .sort((a, b) => a.addedAt - b.addedAt)
+      .map(entry => entry.transaction);
+  }
+
+  // Pick up to `limit` transactions for a block, maximising fees collected.
+  // A sender's transactions must be mined in nonce order, so each step takes
+  // the run of queued transactions (from a sender's next unmined one) with the
+  // best combined fee per byte. A high fee can pull in the cheaper ones before it.
+  selectTransactions(limit) {
+    const heads = new Map([...this.queues.keys()].map(sender => [sender, 0]));
+    const selected = [];
+
+    while (selected.length < limit && heads.size > 0) {
+      let best = null;
+
+      for (const [sender, start] of heads) {
+        const queue = this.queues.get(sender);
+        const run = { sender, count: 0, fee: 0n, size: 0, addedAt: this.entries.get(queue[start]).addedAt };
+
+        for (let i = start; i < queue.length && run.count < limit - selected.length; i++) {
+          const entry = this.entries.get(queue[i]);
+          run.count++;
+          run.fee += entry.fee;
+          run.size += entry.size;
+
+          if (!best || Mempool.compareFeeRate(run, best) > 0 ||
+              (Mempool.compareFeeRate(run, best) === 0 && run.addedAt < best.addedAt)) {
+            best = { ...run };
+          }
+        }
+      }
+
+      const queue = this.queues.get(best.sender);
+      const start = heads.get(best.sender);
+      for (const id of queue.slice(start, start + best.count)) {
+        selected.push(this.entries.get(id).transaction);
+      }
+
+      if (start + best.count < queue.length) {
+        heads.set(best.sender, start + best.count);
+      } else {
+        heads.delete(best.sender);
+      }
+    }
+
+    return selected;
+  }
+
+  getStats() {
+    return {
+      chainId: this.chainId,
+      transactions: this.entries.size,
+      bytes: this.totalBytes,
+      senders: this.queues.size,
+      maxTransactions: this.maxTransactions,
+      maxBytes: this.maxBytes,
+      maxAge: this.maxAge,
+      minRelayFeeRate: this.minRelayFeeRate.toString()
+    };
+  }
+}
@@ -0,0 +1,99 @@
+import { createHash } from 'crypto';
+
+export const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+// Leaves and interior nodes are hashed under different prefixes (as in
+// RFC 6962), so an interior node can never be passed off as a leaf
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function hashLeaf(leaf) {
+  return createHash('sha256').update(LEAF_PREFIX).update(Buffer.from(leaf, 'hex')).digest('hex');
+}
+
+function hashPair(left, right) {
+  return createHash('sha256')
+    .update(NODE_PREFIX)
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+}
+
+// Binary Merkle tree over hex leaf hashes. An odd node at the end of a level
+// is promoted unchanged rather than paired with itself, so no two leaf lists
+// share a root by duplicating their last entry.
+export class MerkleTree {
+  constructor(leaves) {
+    this.leaves = leaves;
+
+    let level = leaves.map(hashLeaf);
+    this.levels = [level];
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+      }
+      this.levels.push(next);
+      level = next;
+    }
+  }
+
+  getRoot() {
+    return this.leaves.length === 0 ? EMPTY_MERKLE_ROOT : this.levels[this.levels.length - 1][0];
+  }
+
+  // Sibling hashes from the leaf up to the root
+  getProof(index) {
+    if (index < 0 || index >= this.leaves.length) {
+      throw new Error('Leaf index out of range');
+    }
+
+    const proof = [];
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      const level = this.levels[depth];
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+      if (siblingIndex < level.length) {
+        proof.push({
+          hash: level[siblingIndex],
+          position: index % 2 === 0 ? 'right' : 'left'
+        });
+      }
+
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+}
+
+// Standalone check for light clients: does `leaf`, at `index` of `leafCount`
+// leaves, fold up to `root` along `proof`? The index and count fix the shape
+// of the path, so the proof must have exactly one step, on the expected side,
+// for every level where the leaf's ancestor has a sibling.
+export function verifyMerkleProof(leaf, index, leafCount, proof, root) {
+  if (typeof leaf !== 'string' || !Array.isArray(proof) || typeof root !== 'string' ||
+      !Number.isSafeInteger(leafCount) || !Number.isSafeInteger(index) || index < 0 || index >= leafCount) {
+    return false;
+  }
+
+  let hash = hashLeaf(leaf);
+  let step = 0;
+  for (let width = leafCount; width > 1; width = Math.ceil(width / 2)) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+    if (siblingIndex < width) {
+      const sibling = proof[step++];
+      const position = index % 2 === 0 ? 'right' : 'left';
+      if (!sibling || sibling.position !== position || typeof sibling.hash !== 'string') {
+        return false;
+      }
+
+      hash = position === 'left' ? hashPair(sibling.hash, hash) : hashPair(hash, sibling.hash);
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return step === proof.length && hash === root;
+}
@@ -0,0 +1,63 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./pow-worker.js', import.meta.url);
+
+// Grind proof of work for `block` on `threads` worker threads, each taking an
+// equal slice of the nonce space. Resolves with the block once a worker finds
+// a valid nonce; rejects if `signal` aborts first, after stopping every worker.
+// `onProgress({ thread, hashes, elapsed })` receives each worker's periodic
+// report, and the winner's final one.
+export function mineInWorkers(block, { threads = 1, signal = null, onProgress = null, reportInterval = 1000 } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const header = block.getHeader();
+    const span = Math.floor(Number.MAX_SAFE_INTEGER / threads);
+    const workers = [];
+    let exhausted = 0;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      workers.forEach(worker => worker.terminate());
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const onAbort = () => finish(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    for (let thread = 0; thread < threads; thread++) {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { header, startNonce: thread * span, endNonce: (thread + 1) * span, reportInterval }
+      });
+
+      worker.on('message', message => {
+        if (message.type === 'progress') {
+          onProgress?.({ thread, hashes: message.hashes, elapsed: message.elapsed });
+        } else if (message.type === 'found') {
+          if (message.elapsed > 0) {
+            onProgress?.({ thread, hashes: message.hashes, elapsed: message.elapsed });
+          }
+          block.nonce = message.nonce;
+          block.hash = block.calculateHash();
+          finish(null, block);
+        } else if (message.type === 'exhausted' && ++exhausted === threads) {
+          finish(new Error('Mining timeout - nonce space exhausted'));
+        }
+      });
+
+      worker.on('error', error => finish(error));
+      workers.push(worker);
+    }
+  });
+}
@@ -0,0 +1,36 @@
+import { parentPort, workerData } from 'worker_threads';
+import { CryptoUtils } from './crypto.js';
+import { bitsToTarget } from './difficulty.js';
+
+// Grinds one slice of the nonce space for a block header. Runs until it finds
+// a hash at or below the target or runs out of nonces; the parent terminates
+// it to abort. Progress is reported every `reportInterval` ms.
+const { header, startNonce, endNonce, reportInterval } = workerData;
+
+// Hashes are fixed-width lowercase hex, so comparing strings compares values
+const target = bitsToTarget(header.bits).toString(16).padStart(64, '0');
+
+let hashes = 0;
+let lastReport = Date.now();
+
+for (let nonce = startNonce; nonce < endNonce; nonce++) {
+  header.nonce = nonce;
+  const hash = CryptoUtils.createHash(header);
+  hashes++;
+
+  if (hash <= target) {
+    parentPort.postMessage({ type: 'found', nonce, hash, hashes, elapsed: Date.now() - lastReport });
+    process.exit(0);
+  }
+
+  if ((hashes & 0x3ff) === 0) {
+    const now = Date.now();
+    if (now - lastReport >= reportInterval) {
+      parentPort.postMessage({ type: 'progress', hashes, elapsed: now - lastReport });
+      hashes = 0;
+      lastReport = now;
+    }
+  }
+}
+
+parentPort.postMessage({ type: 'exhausted', hashes });
@@ -0,0 +1,140 @@
+import { Amount } from './amount.js';
+
+// Account state index maintained incrementally as blocks are connected and disconnected
+export class AccountState {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.balances = new Map();
+    this.addressTransactions = new Map();
+    this.txLocations = new Map();
+    this.nonces = new Map();
+    this.totalTransactions = 0;
+    this.totalFees = 0n;
+  }
+
+  // Rebuild the whole index from a chain (startup, chain replacement)
+  rebuild(chain) {
+    this.reset();
+    for (const block of chain) {
+      this.applyBlock(block);
+    }
+  }
+
+  // Apply a block appended to the tip
+  applyBlock(block) {
+    block.transactions.forEach((tx, position) => {
+      if (tx.fromAddress) {
+        this.adjustBalance(tx.fromAddress, -(tx.amount + tx.fee));
+        this.nonces.set(tx.fromAddress, tx.nonce + 1);
+      }
+      this.adjustBalance(tx.toAddress, tx.amount);
+
+      for (const address of this.involvedAddresses(tx)) {
+        if (!this.addressTransactions.has(address)) {
+          this.addressTransactions.set(address, []);
+        }
+        this.addressTransactions.get(address).push(tx);
+      }
+
+      this.txLocations.set(tx.id, { blockIndex: block.index, blockHash: block.hash, position });
+      this.totalTransactions++;
+      this.totalFees += tx.fromAddress ? tx.fee : 0n;
+    });
+  }
+
+  // Undo a block removed from the tip, in reverse order of application
+  revertBlock(block) {
+    for (let i = block.transactions.length - 1; i >= 0; i--) {
+      const tx = block.transactions[i];
+
+      if (tx.fromAddress) {
+        this.adjustBalance(tx.fromAddress, tx.amount + tx.fee);
+        if (tx.nonce === 0) {
+          this.nonces.delete(tx.fromAddress);
+        } else {
+          this.nonces.set(tx.fromAddress, tx.nonce);
+        }
+      }
+      this.adjustBalance(tx.toAddress, -tx.amount);
+
+      for (const address of this.involvedAddresses(tx)) {
+        const txs = this.addressTransactions.get(address);
+        txs.pop();
+        if (txs.length === 0) {
+          this.addressTransactions.delete(address);
+        }
+      }
+
+      this.txLocations.delete(tx.id);
+      this.totalTransactions--;
+      this.totalFees -= tx.fromAddress ? tx.fee : 0n;
+    }
+  }
+
+  adjustBalance(address, delta) {
+    const balance = (this.balances.get(address) || 0n) + delta;
+    if (balance === 0n) {
+      this.balances.delete(address);
+    } else {
+      this.balances.set(address, balance);
+    }
+  }
+
+  // Sender and recipient, counted once for self-transfers
+  involvedAddresses(tx) {
+    return [...new Set([tx.fromAddress, tx.toAddress].filter(Boolean))];
+  }
+
+  getBalance(address) {
+    return this.balances.get(address) || 0n;
+  }
+
+  // Next nonce expected from an address on-chain
+  getNonce(address) {
+    return this.nonces.get(address) || 0;
+  }
+
+  getTransactions(address) {
+    return [...(this.addressTransactions.get(address) || [])];
+  }
+
+  getTransactionCount(address) {
+    return (this.addressTransactions.get(address) || []).length;
+  }
+
+  getTransactionLocation(txId) {
+    return this.txLocations.get(txId) || null;
+  }
+
+  getRichList(limit = 100) {
+    return Array.from(this.balances.entries())
+      .filter(([address, balance]) => balance > 0n)
+      .sort((a, b) => Amount.compareDescending(a[1], b[1]))
+      .slice(0, limit)
+      .map(([address, balance], index) => ({
+        rank: index + 1,
+        address,
+        balance
+      }));
+  }
+
+  // Sum of all balances; fees move between accounts, so this tracks issuance
+  getCirculatingSupply() {
+    let total = 0n;
+    for (const balance of this.balances.values()) {
+      total += balance;
+    }
+    return total;
+  }
+
+  getStats() {
+    return {
+      addresses: this.balances.size,
+      totalTransactions: this.totalTransactions,
+      totalFees: this.totalFees
+    };
+  }
+}
@@ -4,6 +4,7 @@ import { KeetaNode } from './network/node.js';
 import { WalletAPI } from './api/wallet.js';
 import { ExplorerAPI } from './api/explorer.js';
 import { MiningAPI } from './api/mining.js';
+import { MiningPool } from './network/pool.js';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import { 
@@ -24,13 +25,19 @@ config.validate();
 // Initialize Keeta Chain components
 const blockchain = new Blockchain();
 const node = new KeetaNode(blockchain);
+const pool = config.get('pool.enabled', false)
+  ? new MiningPool(blockchain, { ...config.get('pool'), key: await config.loadPoolKey() })
+  : null;
 const walletAPI = new WalletAPI(blockchain);
 const explorerAPI = new ExplorerAPI(blockchain);
-const miningAPI = new MiningAPI(blockchain, node);
+const miningAPI = new MiningAPI(blockchain, node, pool);
 
 // Initialize blockchain with database
 await blockchain.initialize();
 
+// Pool work is built on the loaded chain
+await pool?.start();
+
 // Start monitoring
 await monitor.start(blockchain, node);
 
@@ -374,11 +381,11 @@ app.get('/health', (req, res) => {
       blockchain: {
         height: blockchain.getLatestBlock().height,
         isValid: isHealthy,
-        pendingTransactions: blockchain.pendingTransactions.length
+        pendingTransactions: blockchain.mempool.size
       },
       network: {
         connectedPeers: peers.length,
-        hashRate: node.getHashRate()
+        hashRate: blockchain.getNetworkHashRate()
       },
       system: {
         memory: process.memoryUsage(),
@@ -415,4 +422,4 @@ app.listen(port, () => {
   console.log(`📊 Monitoring: Real-time metrics and health checks`);
 });
 
-export { app, blockchain, node };
+export { app, blockchain, node, pool };
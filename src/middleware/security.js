@@ -1,4 +1,6 @@
 import { createHash } from 'crypto';
+import { CryptoUtils } from '../core/crypto.js';
+import { Amount } from '../core/amount.js';
 
 // Rate limiting configurations - simplified for compatibility
 export const createRateLimit = (windowMs, max, message) => {
@@ -58,9 +60,6 @@ export class InputValidator {
       return { valid: false, error: 'Address is required and must be a string' };
     }
     
-    // Import CryptoUtils dynamically to avoid circular dependencies
-    const { CryptoUtils } = require('../core/crypto.js');
-    
     if (!CryptoUtils.validateAddress(address)) {
       return { valid: false, error: 'Invalid address format' };
     }
@@ -70,21 +69,48 @@ export class InputValidator {
 
   // Validate amount
   static validateAmount(amount) {
-    if (typeof amount !== 'number' || isNaN(amount)) {
-      return { valid: false, error: 'Amount must be a valid number' };
+    if (!Amount.isValid(amount)) {
+      return { valid: false, error: 'Amount must be an integer number of base units' };
     }
     
-    if (amount <= 0) {
+    const units = Amount.from(amount);
+    if (units <= 0n) {
       return { valid: false, error: 'Amount must be greater than 0' };
     }
     
-    if (amount > 1000000) { // Max transaction limit
+    if (units > Amount.parse('1000000')) { // Max transaction limit
       return { valid: false, error: 'Amount exceeds maximum transaction limit' };
     }
     
     return { valid: true };
   }
 
+  // Validate optional transaction fee, in base units
+  static validateFee(fee) {
+    if (fee === undefined || fee === null) {
+      return { valid: true };
+    }
+    
+    if (!Amount.isValid(fee)) {
+      return { valid: false, error: 'Fee must be a non-negative integer number of base units' };
+    }
+    
+    return { valid: true };
+  }
+
+  // Validate optional transaction nonce
+  static validateNonce(nonce) {
+    if (nonce === undefined || nonce === null) {
+      return { valid: true };
+    }
+    
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      return { valid: false, error: 'Nonce must be a non-negative integer' };
+    }
+    
+    return { valid: true };
+  }
+
   // Validate private key format
   static validatePrivateKey(privateKey) {
     if (!privateKey || typeof privateKey !== 'string') {
@@ -156,6 +156,20 @@ export class SystemMonitor {
     this.blockchain = blockchain;
     this.node = node;
 
+    // Count chain activity as it happens rather than sampling it
+    this.chainListeners = {
+      'block:connected': () => {
+        this.recordBlockMined();
+        this.recordNetworkHashRate();
+      },
+      'tx:accepted': () => this.recordTransactionCreated(),
+      'tx:evicted': ({ reason }) => this.recordTransactionEvicted(reason),
+      'reorg': ({ depth }) => this.recordReorg(depth)
+    };
+    for (const [event, listener] of Object.entries(this.chainListeners)) {
+      blockchain.on(event, listener);
+    }
+
     // Collect metrics every minute
     this.metricsInterval = setInterval(() => {
       this.collectSystemMetrics();
@@ -173,6 +187,10 @@ export class SystemMonitor {
     if (!this.isRunning) return;
     
     this.isRunning = false;
+
+    for (const [event, listener] of Object.entries(this.chainListeners)) {
+      this.blockchain.off(event, listener);
+    }
     
     if (this.metricsInterval) {
       clearInterval(this.metricsInterval);
@@ -191,14 +209,22 @@ export class SystemMonitor {
       const stats = this.blockchain.getChainStats();
       this.metrics.setGauge('blockchain_height', {}, stats.height);
       this.metrics.setGauge('blockchain_difficulty', {}, stats.difficulty);
+      this.metrics.setGauge('blockchain_chain_work', {}, Number(this.blockchain.chainWork));
       this.metrics.setGauge('pending_transactions', {}, stats.pendingTransactions);
+      this.metrics.setGauge('mempool_bytes', {}, this.blockchain.mempool.totalBytes);
       this.metrics.setGauge('total_transactions', {}, stats.totalTransactions);
       this.metrics.setGauge('blockchain_valid', {}, stats.isValid ? 1 : 0);
 
+      this.recordNetworkHashRate();
+
+      // Account state index metrics
+      const stateStats = this.blockchain.state.getStats();
+      this.metrics.setGauge('indexed_addresses', {}, stateStats.addresses);
+      this.metrics.setGauge('total_fees', {}, Number(stateStats.totalFees));
+
       // Node metrics
       const peers = this.node.getConnectedPeers();
       this.metrics.setGauge('connected_peers', {}, peers.length);
-      this.metrics.setGauge('network_hashrate', {}, this.node.getHashRate());
 
       // System metrics
       const memUsage = process.memoryUsage();
@@ -241,6 +267,25 @@ export class SystemMonitor {
     this.metrics.incrementCounter('blocks_mined_total');
   }
 
+  recordTransactionEvicted(reason) {
+    this.metrics.incrementCounter('transactions_evicted_total', { reason });
+  }
+
+  recordReorg(depth) {
+    this.metrics.incrementCounter('chain_reorgs_total');
+    this.metrics.recordHistogram('chain_reorg_depth', {}, depth);
+  }
+
+  // Estimated from chain work, so it moves with each new block
+  recordNetworkHashRate() {
+    this.metrics.setGauge('network_hashrate', {}, this.blockchain.getNetworkHashRate());
+  }
+
+  // Measured hashes per second across this node's running mining jobs
+  recordMiningHashRate(hashRate) {
+    this.metrics.setGauge('mining_hashrate', {}, hashRate);
+  }
+
   recordPeerConnected() {
     this.metrics.incrementCounter('peers_connected_total');
   }
@@ -0,0 +1,156 @@
+import { CryptoUtils } from '../../core/crypto.js';
+import { Mempool } from '../../core/mempool.js';
+import { MiningPool } from '../pool.js';
+
+const newAccount = () => {
+  const { privateKey } = CryptoUtils.generateKeyPair();
+  return { key: privateKey, address: CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(privateKey)) };
+};
+
+// Just enough of a Blockchain for the pool's accounting: a chain of
+// { index, hash }, the pool's confirmed nonce and transactions, and a mempool
+// that takes every transaction
+function stubChain() {
+  const added = [];
+  const queued = new Set();
+  const mined = new Map(); // txId -> blockIndex
+  return {
+    chainId: 'keeta-test',
+    difficulty: 10,
+    chain: Array.from({ length: 6 }, (_, index) => ({ index, hash: `h${index}` })),
+    state: { nonce: 0, getNonce() { return this.nonce; } },
+    added,
+    queued,
+    mined,
+    getNextNonce: () => added.length,
+    getTransaction: id => (mined.has(id) ? { blockIndex: mined.get(id) } : null),
+    isKnownTransaction: id => queued.has(id) || mined.has(id),
+    addTransaction: async transaction => {
+      added.push(transaction);
+      queued.add(transaction.id);
+    }
+  };
+}
+
+function newPool(blockchain, options = {}) {
+  const pool = new MiningPool(blockchain, { key: newAccount().key, pplnsWindow: 2, confirmations: 2, ...options });
+  pool.save = () => {};
+  pool.feeEstimator = { getFeeRate: () => 1000n };
+  return pool;
+}
+
+const foundBlock = (index, reward) => ({ index, hash: `h${index}`, transactions: [{ fromAddress: null, amount: reward }] });
+
+describe('MiningPool', () => {
+  const alice = newAccount();
+  const bob = newAccount();
+  const carol = newAccount();
+  let blockchain;
+  let pool;
+
+  beforeEach(() => {
+    blockchain = stubChain();
+    pool = newPool(blockchain);
+  });
+
+  test('splits a found block over the newest window of shares, keeping the pool fee', () => {
+    pool.recordShare(pool.getWorker(`${alice.address}.rig`, alice.address), 15);
+    pool.recordShare(pool.getWorker(`${bob.address}.rig`, bob.address), 10);
+    const finder = pool.getWorker(`${carol.address}.rig`, carol.address);
+    pool.recordShare(finder, 5);
+    pool.recordShare(finder, 5);
+
+    pool.creditRound(foundBlock(5, 1000n), finder, pool.getWindowWeights());
+
+    expect(pool.rounds[0]).toMatchObject({ height: 5, reward: 1000n, poolFee: 10n, status: 'immature' });
+    expect(pool.rounds[0].credits).toEqual({ [bob.address]: 495n, [carol.address]: 495n });
+    expect(pool.getBalance(alice.address).immature).toBe(0n);
+    expect(pool.getBalance(carol.address).immature).toBe(495n);
+  });
+
+  test('matures credits once deep enough, and drops those of orphaned blocks', () => {
+    const finder = pool.getWorker(`${alice.address}.rig`, alice.address);
+    pool.recordShare(finder, 20);
+    pool.creditRound(foundBlock(5, 1000n), finder, pool.getWindowWeights());
+    pool.creditRound({ ...foundBlock(4, 1000n), hash: 'orphaned' }, finder, pool.getWindowWeights());
+
+    pool.matureRounds();
+    expect(pool.rounds.map(round => round.status)).toEqual(['immature', 'orphaned']);
+
+    blockchain.chain.push({ index: 6, hash: 'h6' });
+    pool.matureRounds();
+    expect(pool.rounds[0].status).toBe('confirmed');
+    expect(pool.getBalance(alice.address)).toEqual({ immature: 0n, unpaid: 990n, paid: 0n });
+  });
+
+  test('pays balances over the minimum in one batch, with the fee taken from each payout', async () => {
+    pool.getBalance(alice.address).unpaid = 500000000n;
+    pool.getBalance(bob.address).unpaid = 50000000n;
+
+    await expect(pool.runPayouts()).resolves.toBe(1);
+
+    const [payout] = blockchain.added;
+    expect(payout.toAddress).toBe(alice.address);
+    expect(payout.fromAddress).toBe(pool.address);
+    expect(payout.isValid()).toBe(true);
+    expect(payout.fee).toBe(Mempool.calculateFee(payout, 1000n));
+    expect(payout.amount + payout.fee).toBe(500000000n);
+    expect(pool.getBalance(alice.address)).toEqual({ immature: 0n, unpaid: 0n, paid: payout.amount });
+    expect(pool.getBalance(bob.address).unpaid).toBe(50000000n);
+    expect(pool.payouts).toMatchObject([{ txId: payout.id, address: alice.address, status: 'pending' }]);
+  });
+
+  test('broadcasts a dropped payout again, and credits it back once its nonce is spent', async () => {
+    pool.getBalance(alice.address).unpaid = 500000000n;
+    await pool.runPayouts();
+    const [payout] = blockchain.added;
+
+    blockchain.queued.delete(payout.id);
+    pool.handleTransactionEvicted({ transaction: payout, reason: 'expired' });
+    expect(pool.payouts[0]).toMatchObject({ status: 'pending', reason: 'expired' });
+
+    await pool.resolvePayouts();
+    expect(blockchain.added.map(tx => tx.id)).toEqual([payout.id, payout.id]);
+    expect(pool.getBalance(alice.address).unpaid).toBe(0n);
+
+    // Another transaction from the pool took the nonce on chain
+    blockchain.queued.delete(payout.id);
+    blockchain.state.nonce = 1;
+    await pool.resolvePayouts();
+
+    expect(pool.getBalance(alice.address)).toEqual({ immature: 0n, unpaid: 500000000n, paid: 0n });
+    expect(pool.payouts[0]).toMatchObject({ status: 'failed', reason: 'nonce-used' });
+  });
+
+  test('settles payouts once deep enough, and trims only settled ones', async () => {
+    pool.getBalance(alice.address).unpaid = 500000000n;
+    await pool.runPayouts();
+    const [payout] = blockchain.added;
+
+    blockchain.mined.set(payout.id, 5);
+    await pool.resolvePayouts();
+    expect(pool.payouts[0].status).toBe('pending');
+
+    blockchain.chain.push({ index: 6, hash: 'h6' });
+    await pool.resolvePayouts();
+    expect(pool.payouts[0]).toMatchObject({ status: 'confirmed', blockIndex: 5 });
+
+    // A pending payout older than a full history of settled ones
+    const settled = Array.from({ length: 1000 }, (_, i) => ({ ...pool.payouts[0], txId: `settled${i}` }));
+    pool.payouts = [{ ...pool.payouts[0], txId: 'stuck', status: 'pending' }, ...settled];
+    pool.getBalance(bob.address).unpaid = 500000000n;
+    await pool.runPayouts();
+
+    expect(pool.payouts).toHaveLength(1001);
+    expect(pool.payouts[0].txId).toBe('stuck');
+    expect(pool.payouts.at(-1).address).toBe(bob.address);
+  });
+
+  test('keeps its ledger across a restart', () => {
+    pool.getBalance(alice.address).unpaid = 7n;
+    const restored = newPool(blockchain, { key: pool.key });
+    restored.restore(JSON.parse(JSON.stringify(pool.toJSON())));
+
+    expect(restored.getBalance(alice.address).unpaid).toBe(7n);
+  });
+});
@@ -1,5 +1,25 @@
-import WebSocket from 'ws';
+import WebSocket, { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
+import { Block, Transaction } from '../core/blockchain.js';
+import { Codec } from '../core/codec.js';
+
+// Messages that carry blocks or transactions, and how their payload is
+// binary-encoded for peers that negotiated it. A binary frame is a 4-byte
+// length, a JSON envelope ({ type, data } without the payload), then the payload.
+const BINARY_MESSAGES = {
+  BLOCK: {
+    encode: data => ({ data: undefined, body: Codec.encodeBlock(data) }),
+    decode: (data, body) => Codec.decodeBlock(body)
+  },
+  TRANSACTION: {
+    encode: data => ({ data: undefined, body: Codec.encodeTransaction(data) }),
+    decode: (data, body) => Codec.decodeTransaction(body)
+  },
+  CHAIN_RESPONSE: {
+    encode: ({ chain, ...rest }) => ({ data: rest, body: Codec.encodeBlocks(chain) }),
+    decode: (data, body) => ({ ...data, chain: Codec.decodeBlocks(body) })
+  }
+};
 
 export class KeetaNode {
   constructor(blockchain, port = 6001) {
@@ -8,24 +28,53 @@ export class KeetaNode {
     this.peers = new Map();
     this.nodeId = uuidv4();
     this.server = null;
-    this.hashRate = 0;
     this.connectedPeers = [];
+    this.encodings = [Codec.WIRE_FORMAT, 'json']; // Wire formats we accept, preferred first
     this.messageHandlers = new Map();
+    this.relayingFrom = null; // Peer whose message is being applied, so we don't echo it back
     
     this.setupMessageHandlers();
+    this.subscribeToChain();
+  }
+
+  // Relay whatever the chain accepts, whether it came from a peer, the
+  // wallet API or a miner
+  subscribeToChain() {
+    this.blockchain.on('block:connected', ({ block, reorg }) => {
+      if (!reorg) this.broadcastBlock(block, this.relayingFrom);
+    });
+
+    // After a reorganisation only the new tip is announced; peers fetch the rest
+    this.blockchain.on('reorg', () => {
+      this.broadcastBlock(this.blockchain.getLatestBlock(), this.relayingFrom);
+    });
+
+    this.blockchain.on('tx:accepted', ({ transaction }) => {
+      this.broadcastTransaction(transaction, this.relayingFrom);
+    });
+  }
+
+  // Apply a peer's message with the events it triggers attributed to that peer
+  fromPeer(peerId, apply) {
+    this.relayingFrom = peerId;
+    try {
+      return apply();
+    } finally {
+      this.relayingFrom = null;
+    }
   }
 
   setupMessageHandlers() {
+    this.messageHandlers.set('HANDSHAKE', this.handleHandshake.bind(this));
     this.messageHandlers.set('BLOCK', this.handleBlock.bind(this));
     this.messageHandlers.set('TRANSACTION', this.handleTransaction.bind(this));
     this.messageHandlers.set('PEER_DISCOVERY', this.handlePeerDiscovery.bind(this));
     this.messageHandlers.set('CHAIN_REQUEST', this.handleChainRequest.bind(this));
     this.messageHandlers.set('CHAIN_RESPONSE', this.handleChainResponse.bind(this));
-    this.messageHandlers.set('HASHRATE_UPDATE', this.handleHashRateUpdate.bind(this));
   }
 
   start() {
-    this.server = new WebSocket.Server({ port: this.port });
+    this.server = new WebSocketServer({ port: this.port });
     
     this.server.on('connection', (ws, req) => {
       this.handleConnection(ws, req);
@@ -41,7 +90,9 @@ export class KeetaNode {
       ws: ws,
       address: req.socket.remoteAddress,
       port: req.socket.remotePort,
-      connected: Date.now()
+      connected: Date.now(),
+      handshake: null, // Set once the peer proves it is on our network
+      encoding: 'json' // Wire format we send; agreed in the handshake
     };
 
     this.peers.set(peerId, peer);
@@ -49,11 +100,14 @@ export class KeetaNode {
 
     console.log(`🔗 New peer connected: ${peerId} from ${peer.address}:${peer.port}`);
 
-    ws.on('message', (message) => {
-      this.handleMessage(peerId, message);
+    ws.on('message', (message, isBinary) => {
+      this.handleMessage(peerId, message, isBinary);
     });
 
-    ws.on('close', () => {
+    ws.on('close', (code, reason) => {
+      if (reason && reason.length > 0) {
+        console.warn(`⚠️ Peer ${peerId} closed the connection: ${reason}`);
+      }
       this.handleDisconnection(peerId);
     });
 
@@ -62,13 +116,51 @@ export class KeetaNode {
       this.handleDisconnection(peerId);
     });
 
+    // Both sides announce their network first; nothing else is exchanged
+    // until the peer's handshake matches ours
+    this.sendToPeer(peerId, {
+      type: 'HANDSHAKE',
+      data: {
+        nodeId: this.nodeId,
+        chainId: this.blockchain.chainId,
+        genesisHash: this.blockchain.getGenesisHash(),
+        height: this.blockchain.chain.length,
+        port: this.port,
+        encodings: this.encodings
+      }
+    });
+  }
+
+  handleHandshake(peerId, data) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.handshake) return;
+
+    if (data?.chainId !== this.blockchain.chainId) {
+      this.disconnectPeer(peerId, `Wrong chain: peer is on "${data?.chainId}", this node is on "${this.blockchain.chainId}"`);
+      return;
+    }
+
+    if (data.genesisHash !== this.blockchain.getGenesisHash()) {
+      this.disconnectPeer(peerId, `Wrong genesis for chain "${this.blockchain.chainId}"`);
+      return;
+    }
+
+    // Use the first wire format we prefer that the peer also speaks
+    const theirs = Array.isArray(data.encodings) ? data.encodings : ['json'];
+    peer.encoding = this.encodings.find(encoding => theirs.includes(encoding)) || 'json';
+
+    peer.handshake = { nodeId: data.nodeId, chainId: data.chainId, height: data.height };
+    console.log(`🤝 Peer ${peerId} joined on chain ${data.chainId} (${peer.encoding})`);
+
     // Send current chain info to new peer
     this.sendToPeer(peerId, {
       type: 'CHAIN_RESPONSE',
       data: {
         chain: this.blockchain.chain,
         height: this.blockchain.chain.length,
-        hash: this.blockchain.getLatestBlock().hash
+        hash: this.blockchain.getLatestBlock().hash,
+        genesisHash: this.blockchain.getGenesisHash(),
+        chainWork: this.blockchain.chainWork.toString()
       }
     });
 
@@ -89,13 +181,20 @@ export class KeetaNode {
     console.log(`❌ Peer disconnected: ${peerId}`);
   }
 
-  handleMessage(peerId, message) {
+  handleMessage(peerId, message, isBinary = false) {
     try {
-      const data = JSON.parse(message);
+      const data = isBinary ? this.decodeFrame(message) : JSON.parse(message);
       const handler = this.messageHandlers.get(data.type);
+
+      if (data.type !== 'HANDSHAKE' && !this.peers.get(peerId)?.handshake) {
+        console.warn(`⚠️ Ignoring ${data.type} from peer ${peerId} before handshake`);
+        return;
+      }
       
       if (handler) {
-        handler(peerId, data.data);
+        // Async handlers report their own failures the same way
+        Promise.resolve(handler(peerId, data.data))
+          .catch(error => console.error(`❌ Error handling ${data.type} from ${peerId}:`, error));
       } else {
         console.warn(`⚠️ Unknown message type: ${data.type}`);
       }
@@ -105,37 +204,41 @@ export class KeetaNode {
   }
 
   handleBlock(peerId, blockData) {
-    console.log(`📦 Received block from peer ${peerId}:`, blockData.index);
-    
-    // Validate block
-    if (this.isValidBlock(blockData)) {
-      // Add to blockchain if valid
-      if (blockData.index === this.blockchain.chain.length) {
-        this.blockchain.chain.push(blockData);
-        console.log(`✅ Added block ${blockData.index} to chain`);
-        
-        // Broadcast to other peers
-        this.broadcastToPeers({
-          type: 'BLOCK',
-          data: blockData
-        }, peerId);
+    console.log(`📦 Received block from peer ${peerId}:`, blockData?.index);
+
+    let block;
+    try {
+      block = Block.fromJSON(blockData);
+    } catch (error) {
+      console.warn(`⚠️ Malformed block received from peer ${peerId}: ${error.message}`);
+      return;
+    }
+
+    const tip = this.blockchain.getLatestBlock();
+
+    // Add to blockchain if it extends our tip
+    if (block.index === this.blockchain.chain.length && block.previousHash === tip.hash) {
+      const rejection = this.blockchain.validateBlock(block);
+      if (rejection) {
+        console.warn(`⚠️ Invalid block #${block.index} from peer ${peerId} (${rejection.code}): ${rejection.message}`);
+        return;
       }
-    } else {
-      console.warn(`⚠️ Invalid block received from peer ${peerId}`);
+
+      // Connecting the block relays it to our other peers
+      this.fromPeer(peerId, () => this.blockchain.connectBlock(block, { validated: true }));
+      console.log(`✅ Added block ${block.index} to chain`);
+    } else if (block.index >= this.blockchain.chain.length - 1 && block.hash !== tip.hash) {
+      // The peer is ahead of us or on a competing branch - fetch its chain to compare work
+      this.sendToPeer(peerId, { type: 'CHAIN_REQUEST', data: {} });
     }
   }
 
-  handleTransaction(peerId, txData) {
-    console.log(`💸 Received transaction from peer ${peerId}:`, txData.id);
-    
+  async handleTransaction(peerId, txData) {
     try {
-      this.blockchain.addTransaction(txData);
-      
-      // Broadcast to other peers
-      this.broadcastToPeers({
-        type: 'TRANSACTION',
-        data: txData
-      }, peerId);
+      console.log(`💸 Received transaction from peer ${peerId}:`, txData.id);
+
+      // Acceptance relays it to our other peers
+      await this.fromPeer(peerId, () => this.blockchain.addTransaction(Transaction.fromJSON(txData)));
     } catch (error) {
       console.warn(`⚠️ Invalid transaction from peer ${peerId}:`, error.message);
     }
@@ -159,24 +262,49 @@ export class KeetaNode {
       data: {
         chain: this.blockchain.chain,
         height: this.blockchain.chain.length,
-        hash: this.blockchain.getLatestBlock().hash
+        hash: this.blockchain.getLatestBlock().hash,
+        genesisHash: this.blockchain.getGenesisHash(),
+        chainWork: this.blockchain.chainWork.toString()
       }
     });
   }
 
   handleChainResponse(peerId, data) {
     console.log(`📋 Chain response from ${peerId}:`, data.height, 'blocks');
+
+    if (!this.hasMatchingGenesis(data)) {
+      this.disconnectPeer(peerId, 'Peer chain does not start from our genesis block');
+      return;
+    }
     
-    // Compare chains and sync if needed
-    if (data.height > this.blockchain.chain.length) {
+    // Compare chains and sync if the peer claims more cumulative work
+    if (BigInt(data.chainWork || 0) > this.blockchain.chainWork) {
       console.log(`🔄 Syncing chain with peer ${peerId}`);
-      this.replaceChain(data.chain);
+      this.fromPeer(peerId, () => this.replaceChain(data.chain.map(block => Block.fromJSON(block))));
     }
   }
 
-  handleHashRateUpdate(peerId, data) {
-    // Update network hashrate calculation
-    this.hashRate = data.hashRate;
+  // Peers must share our genesis block, both as advertised and in the chain they send
+  hasMatchingGenesis(data) {
+    const genesisHash = this.blockchain.getGenesisHash();
+    const peerGenesis = data.chain && data.chain[0];
+
+    return data.genesisHash === genesisHash &&
+           (!peerGenesis || peerGenesis.hash === genesisHash);
+  }
+
+  // Close a peer's connection; `reason` is logged here and sent to the peer
+  disconnectPeer(peerId, reason = null) {
+    const peer = this.peers.get(peerId);
+    if (peer) {
+      if (reason) {
+        console.warn(`⚠️ Disconnecting peer ${peerId}: ${reason}`);
+        peer.ws.close(1008, reason.slice(0, 123));
+      } else {
+        peer.ws.close();
+      }
+    }
+    this.handleDisconnection(peerId);
   }
 
   connectToPeer(address, port) {
@@ -195,30 +323,51 @@ export class KeetaNode {
   sendToPeer(peerId, message) {
     const peer = this.peers.get(peerId);
     if (peer && peer.ws.readyState === WebSocket.OPEN) {
-      peer.ws.send(JSON.stringify(message));
+      const binary = peer.encoding === Codec.WIRE_FORMAT && BINARY_MESSAGES[message.type];
+      peer.ws.send(binary ? this.encodeFrame(message) : JSON.stringify(message));
     }
   }
 
+  encodeFrame(message) {
+    const { data, body } = BINARY_MESSAGES[message.type].encode(message.data);
+    const envelope = Buffer.from(JSON.stringify({ type: message.type, data }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(envelope.length);
+    return Buffer.concat([length, envelope, body]);
+  }
+
+  // Binary payloads decode to the same plain objects a JSON message carries
+  decodeFrame(frame) {
+    const length = frame.readUInt32BE(0);
+    const envelope = JSON.parse(frame.subarray(4, 4 + length).toString('utf8'));
+    const codec = BINARY_MESSAGES[envelope.type];
+    if (!codec) {
+      throw new Error(`Message type ${envelope.type} has no binary form`);
+    }
+
+    return { type: envelope.type, data: codec.decode(envelope.data, frame.subarray(4 + length)) };
+  }
+
   broadcastToPeers(message, excludePeerId = null) {
     for (const peerId of this.connectedPeers) {
-      if (peerId !== excludePeerId) {
+      if (peerId !== excludePeerId && this.peers.get(peerId)?.handshake) {
         this.sendToPeer(peerId, message);
       }
     }
   }
 
-  broadcastTransaction(transaction) {
+  broadcastTransaction(transaction, excludePeerId = null) {
     this.broadcastToPeers({
       type: 'TRANSACTION',
       data: transaction
-    });
+    }, excludePeerId);
   }
 
-  broadcastBlock(block) {
+  broadcastBlock(block, excludePeerId = null) {
     this.broadcastToPeers({
       type: 'BLOCK',
       data: block
-    });
+    }, excludePeerId);
   }
 
   isPeerConnected(address) {
@@ -227,20 +376,14 @@ export class KeetaNode {
     );
   }
 
-  isValidBlock(block) {
-    // Basic validation - would be more comprehensive in production
-    return block && 
-           block.index && 
-           block.hash && 
-           block.previousHash && 
-           block.transactions &&
-           block.timestamp;
-  }
-
-  replaceChain(newChain) {
-    if (newChain.length > this.blockchain.chain.length) {
-      this.blockchain.chain = newChain;
-      console.log(`🔄 Chain replaced with longer chain (${newChain.length} blocks)`);
+  // Fork choice is by cumulative work; the blockchain validates the competing branch
+  async replaceChain(newChain) {
+    try {
+      if (await this.blockchain.reorganize(newChain)) {
+        console.log(`🔄 Switched to heavier chain (${newChain.length} blocks)`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Rejected competing chain: ${error.message}`);
     }
   }
 
@@ -249,30 +392,20 @@ export class KeetaNode {
       id: peer.id,
       address: peer.address,
       port: peer.port,
-      connected: peer.connected
+      connected: peer.connected,
+      chainId: peer.handshake?.chainId ?? null,
+      encoding: peer.encoding
     }));
   }
 
-  getHashRate() {
-    return this.hashRate;
-  }
-
-  updateHashRate(newHashRate) {
-    this.hashRate = newHashRate;
-    this.broadcastToPeers({
-      type: 'HASHRATE_UPDATE',
-      data: { hashRate: newHashRate }
-    });
-  }
-
   getNetworkStats() {
     return {
       nodeId: this.nodeId,
       port: this.port,
       connectedPeers: this.connectedPeers.length,
-      hashRate: this.hashRate,
+      hashRate: this.blockchain.getNetworkHashRate(),
       chainHeight: this.blockchain.chain.length,
-      pendingTransactions: this.blockchain.pendingTransactions.length
+      pendingTransactions: this.blockchain.mempool.size
     };
   }
 }
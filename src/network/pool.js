@@ -0,0 +1,839 @@
+import { WebSocketServer } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import { Block, Transaction } from '../core/blockchain.js';
+import { CryptoUtils } from '../core/crypto.js';
+import { Amount } from '../core/amount.js';
+import { Mempool } from '../core/mempool.js';
+import { FeeEstimator } from '../core/fees.js';
+import { POW_LIMIT, bitsToTarget } from '../core/difficulty.js';
+import { database } from '../config/database.js';
+
+// Stratum error codes, sent back as [code, message, null]
+const ERRORS = {
+  OTHER: 20,
+  STALE: 21,
+  DUPLICATE: 22,
+  LOW_DIFFICULTY: 23,
+  UNAUTHORIZED: 24,
+  NOT_SUBSCRIBED: 25
+};
+
+const MAX_JOBS = 16; // Jobs on the current tip that still take shares
+const MAX_ROUNDS = 100; // Settled blocks kept for the pool views
+const MAX_PAYOUTS = 1000; // Payout records kept for the pool views
+const HASHRATE_WINDOW = 600000; // Recent shares a worker's hashrate is estimated from
+
+// Expected hashes behind one share at difficulty 1
+const HASHES_PER_DIFFICULTY = Number((1n << 256n) / (POW_LIMIT + 1n));
+
+class StratumError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Mining pool server speaking a Stratum-style JSON protocol over WebSocket.
+// Blocks pay the pool's address; miners prove their work with shares at a
+// per-worker difficulty well below the network's, and each block found is
+// split over the last `pplnsWindow` x network difficulty of shares (PPLNS).
+// Credits become payable after `confirmations` blocks and are paid out in
+// batches of ordinary signed transactions from the pool's address.
+//
+// Requests are { id, method, params } and get { id, result, error }:
+// - mining.subscribe []
+// - mining.authorize [workerName], named "<payout address>.<rig>"
+// - mining.submit [workerName, jobId, nonce, timestamp?]
+// Notifications carry id null:
+// - mining.set_difficulty [difficulty]: shares must hash at or below
+//   POW_LIMIT / difficulty
+// - mining.notify [jobId, header, cleanJobs]: the header to grind; with
+//   cleanJobs every earlier job is stale
+export class MiningPool {
+  constructor(blockchain, {
+    key,
+    port = 3333,
+    fee = 1,
+    minDifficulty = 1,
+    shareTime = 10000,
+    retargetInterval = 30000,
+    pplnsWindow = 2,
+    confirmations = 10,
+    payoutInterval = 600000,
+    minPayout = '100000000',
+    jobRefreshInterval = 30000
+  } = {}) {
+    this.blockchain = blockchain;
+    this.key = key;
+    this.address = CryptoUtils.generateAddress(CryptoUtils.getPublicKeyPem(key));
+    this.port = port;
+    this.fee = fee;
+    this.minDifficulty = minDifficulty;
+    this.shareTime = shareTime;
+    this.retargetInterval = retargetInterval;
+    this.pplnsWindow = pplnsWindow;
+    this.confirmations = confirmations;
+    this.payoutInterval = payoutInterval;
+    this.minPayout = Amount.from(minPayout);
+    this.jobRefreshInterval = jobRefreshInterval;
+    this.feeEstimator = new FeeEstimator(blockchain);
+
+    this.server = null;
+    this.timers = [];
+    this.connections = new Map();
+    this.workers = new Map(); // "<address>.<rig>" -> worker stats and difficulty
+    this.jobs = new Map();
+    this.currentJob = null;
+    this.shares = []; // PPLNS window, oldest first
+    this.rounds = []; // Blocks the pool found and how they were split
+    this.balances = new Map(); // address -> { immature, unpaid, paid }
+    this.payouts = [];
+    this.saving = Promise.resolve();
+
+    this.chainListeners = {
+      'block:connected': () => this.handleTipChanged(),
+      'tx:evicted': event => this.handleTransactionEvicted(event)
+    };
+  }
+
+  async start() {
+    if (this.blockchain.consensus.name !== 'pow') {
+      throw new Error(`Pool mode needs proof of work, but this chain runs ${this.blockchain.consensus.name}`);
+    }
+
+    this.restore(await database.loadPoolState());
+
+    for (const [event, listener] of Object.entries(this.chainListeners)) {
+      this.blockchain.on(event, listener);
+    }
+
+    this.createJob(true);
+    this.timers = [
+      setInterval(() => this.createJob(false), this.jobRefreshInterval),
+      setInterval(() => this.retargetWorkers(), this.retargetInterval),
+      setInterval(() => this.runPayouts().catch(error => {
+        console.error('❌ Pool payout run failed:', error);
+      }), this.payoutInterval)
+    ];
+
+    this.server = new WebSocketServer({ port: this.port });
+    this.server.on('connection', ws => this.handleConnection(ws));
+
+    console.log(`⛏️ Mining pool paying out from ${this.address} started on port ${this.port}`);
+  }
+
+  async stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    for (const [event, listener] of Object.entries(this.chainListeners)) {
+      this.blockchain.off(event, listener);
+    }
+
+    if (this.server) {
+      this.connections.forEach(connection => connection.ws.terminate());
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+
+    this.save();
+    await this.saving;
+  }
+
+  handleConnection(ws) {
+    const connection = { id: uuidv4(), ws, subscribed: false, worker: null };
+    this.connections.set(connection.id, connection);
+
+    ws.on('message', data => this.handleMessage(connection, data));
+    ws.on('close', () => this.handleDisconnection(connection));
+    ws.on('error', error => {
+      console.error(`❌ Pool connection ${connection.id} error:`, error);
+    });
+  }
+
+  handleDisconnection(connection) {
+    this.connections.delete(connection.id);
+
+    const worker = this.workers.get(connection.worker);
+    if (worker?.connectionId === connection.id) {
+      worker.connectionId = null;
+    }
+  }
+
+  handleMessage(connection, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(connection, { id: null, result: null, error: [ERRORS.OTHER, 'Invalid JSON', null] });
+      return;
+    }
+
+    const params = Array.isArray(request?.params) ? request.params : [];
+    try {
+      let result;
+      switch (request?.method) {
+        case 'mining.subscribe':
+          result = this.handleSubscribe(connection);
+          break;
+        case 'mining.authorize':
+          result = this.handleAuthorize(connection, params);
+          break;
+        case 'mining.submit':
+          result = this.handleSubmit(connection, params);
+          break;
+        default:
+          throw new StratumError(ERRORS.OTHER, `Unknown method ${request?.method}`);
+      }
+      this.send(connection, { id: request.id ?? null, result, error: null });
+    } catch (error) {
+      const code = error instanceof StratumError ? error.code : ERRORS.OTHER;
+      this.send(connection, { id: request?.id ?? null, result: null, error: [code, error.message, null] });
+    }
+  }
+
+  handleSubscribe(connection) {
+    connection.subscribed = true;
+    return { subscriptionId: connection.id };
+  }
+
+  handleAuthorize(connection, [workerName]) {
+    if (!connection.subscribed) {
+      throw new StratumError(ERRORS.NOT_SUBSCRIBED, 'Not subscribed');
+    }
+
+    if (connection.worker) {
+      throw new StratumError(ERRORS.OTHER, `Connection is already authorized as ${connection.worker}`);
+    }
+
+    const name = String(workerName ?? '');
+    const separator = name.indexOf('.');
+    const address = separator === -1 ? name : name.slice(0, separator);
+    const rig = separator === -1 ? 'default' : name.slice(separator + 1);
+
+    if (!CryptoUtils.validateAddress(address) || rig.length === 0) {
+      throw new StratumError(ERRORS.UNAUTHORIZED, 'Worker name must be "<payout address>.<rig>"');
+    }
+
+    const worker = this.getWorker(`${address}.${rig}`, address);
+    if (worker.connectionId && this.connections.has(worker.connectionId)) {
+      throw new StratumError(ERRORS.UNAUTHORIZED, `Worker ${worker.name} is already connected`);
+    }
+
+    worker.connectionId = connection.id;
+    worker.connectedAt = Date.now();
+    worker.difficulty = Math.min(Math.max(worker.difficulty, this.minDifficulty), this.getMaxDifficulty());
+    worker.retarget = { since: Date.now(), shares: 0 };
+    connection.worker = worker.name;
+
+    // Work follows the authorize reply
+    setImmediate(() => {
+      this.sendDifficulty(worker);
+      this.sendJob(connection, true);
+    });
+    return true;
+  }
+
+  handleSubmit(connection, [workerName, jobId, nonce, timestamp]) {
+    const worker = this.workers.get(connection.worker);
+    if (!worker || workerName !== worker.name) {
+      throw new StratumError(ERRORS.UNAUTHORIZED, 'Unauthorized worker');
+    }
+
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      worker.staleShares++;
+      throw new StratumError(ERRORS.STALE, 'Job not found (stale)');
+    }
+
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      worker.invalidShares++;
+      throw new StratumError(ERRORS.OTHER, 'Nonce must be a non-negative integer');
+    }
+
+    const minTimestamp = this.blockchain.getMedianTimePast(job.block.index) + 1;
+    const maxTimestamp = Date.now() + this.blockchain.maxFutureBlockTime;
+    if (timestamp !== undefined && (!Number.isSafeInteger(timestamp) || timestamp < minTimestamp || timestamp > maxTimestamp)) {
+      worker.invalidShares++;
+      throw new StratumError(ERRORS.OTHER, `Timestamp must be between ${minTimestamp} and ${maxTimestamp}`);
+    }
+
+    const block = new Block(
+      job.block.index,
+      job.block.transactions,
+      job.block.previousHash,
+      timestamp ?? job.block.timestamp,
+      job.block.bits
+    );
+    block.nonce = nonce;
+    block.hash = block.calculateHash();
+
+    if (job.shares.has(block.hash)) {
+      worker.invalidShares++;
+      throw new StratumError(ERRORS.DUPLICATE, 'Duplicate share');
+    }
+
+    const value = BigInt('0x' + block.hash);
+    const difficulty = this.getShareDifficulty(worker, job, value);
+    if (!difficulty) {
+      worker.invalidShares++;
+      throw new StratumError(ERRORS.LOW_DIFFICULTY, 'Low difficulty share');
+    }
+
+    job.shares.add(block.hash);
+    this.recordShare(worker, difficulty);
+
+    if (value <= bitsToTarget(block.bits)) {
+      this.submitBlock(block, worker)
+        .catch(error => console.error(`❌ Failed to submit pool block #${block.index}:`, error));
+    }
+
+    return true;
+  }
+
+  // Difficulty a share is credited at, or 0 if it meets none. Jobs sent before
+  // a retarget still earn the old difficulty.
+  getShareDifficulty(worker, job, value) {
+    if (value <= MiningPool.shareTarget(worker.difficulty)) {
+      return worker.difficulty;
+    }
+
+    if (job.createdAt < worker.difficultyChangedAt && value <= MiningPool.shareTarget(worker.previousDifficulty)) {
+      return worker.previousDifficulty;
+    }
+
+    return 0;
+  }
+
+  static shareTarget(difficulty) {
+    return POW_LIMIT / BigInt(difficulty);
+  }
+
+  // Pool difficulty never asks for more than a block's worth of work
+  getMaxDifficulty() {
+    return Math.max(this.minDifficulty, Math.floor(this.blockchain.difficulty));
+  }
+
+  getWorker(name, address) {
+    if (!this.workers.has(name)) {
+      this.workers.set(name, {
+        name,
+        address,
+        difficulty: this.minDifficulty,
+        previousDifficulty: this.minDifficulty,
+        difficultyChangedAt: 0,
+        validShares: 0,
+        invalidShares: 0,
+        staleShares: 0,
+        lastShareAt: null,
+        connectionId: null,
+        connectedAt: null,
+        recent: [], // { time, difficulty } within HASHRATE_WINDOW
+        retarget: { since: Date.now(), shares: 0 }
+      });
+    }
+    return this.workers.get(name);
+  }
+
+  recordShare(worker, difficulty) {
+    const now = Date.now();
+    worker.validShares++;
+    worker.lastShareAt = now;
+    worker.retarget.shares++;
+    worker.recent.push({ time: now, difficulty });
+
+    this.shares.push({ address: worker.address, worker: worker.name, difficulty, time: now });
+
+    // Keep twice the window, so a drop in network difficulty still finds enough
+    const keep = 2 * this.getWindowSize();
+    let weight = 0;
+    let first = this.shares.length;
+    while (first > 0 && weight < keep) {
+      weight += this.shares[--first].difficulty;
+    }
+    if (first > 0) {
+      this.shares.splice(0, first);
+    }
+  }
+
+  // Share weight a found block is split over
+  getWindowSize() {
+    return Math.ceil(this.pplnsWindow * this.blockchain.difficulty);
+  }
+
+  // Share weight per address over the newest window of shares
+  getWindowWeights() {
+    const weights = new Map();
+    let remaining = this.getWindowSize();
+
+    for (let i = this.shares.length - 1; i >= 0 && remaining > 0; i--) {
+      const { address, difficulty } = this.shares[i];
+      const weight = Math.min(difficulty, remaining);
+      weights.set(address, (weights.get(address) || 0n) + BigInt(weight));
+      remaining -= weight;
+    }
+
+    return weights;
+  }
+
+  // Hand a block-solving share to the coordinator, crediting the round once
+  // the block is on the chain
+  async submitBlock(block, worker) {
+    // The window as it stood when the block was found; shares on the next
+    // job can arrive while the block is being stored
+    const weights = this.getWindowWeights();
+
+    const rejection = await this.blockchain.coordinator.acceptBlock(block);
+    if (rejection) {
+      console.warn(`⚠️ Pool block from ${worker.name} rejected (${rejection.code}): ${rejection.message}`);
+      return;
+    }
+
+    this.creditRound(block, worker, weights);
+    console.log(`🎉 Pool found block #${block.index} (${worker.name})`);
+  }
+
+  // Split a found block's reward over the PPLNS window `weights`, keeping the
+  // pool fee and any rounding remainder
+  creditRound(block, worker, weights) {
+    const reward = block.transactions.find(tx => !tx.fromAddress).amount;
+    const distributable = reward - reward * BigInt(Math.round(this.fee * 100)) / 10000n;
+    const totalWeight = [...weights.values()].reduce((total, weight) => total + weight, 0n);
+
+    const credits = {};
+    let credited = 0n;
+    for (const [address, weight] of weights) {
+      const amount = distributable * weight / totalWeight;
+      credits[address] = amount;
+      credited += amount;
+      this.getBalance(address).immature += amount;
+    }
+
+    this.rounds.push({
+      height: block.index,
+      hash: block.hash,
+      reward,
+      poolFee: reward - credited,
+      credits,
+      foundBy: worker.name,
+      foundAt: Date.now(),
+      status: 'immature'
+    });
+
+    this.save();
+  }
+
+  getBalance(address) {
+    if (!this.balances.has(address)) {
+      this.balances.set(address, { immature: 0n, unpaid: 0n, paid: 0n });
+    }
+    return this.balances.get(address);
+  }
+
+  // Settle rounds deep enough in the chain: credits become payable, or are
+  // dropped if the block was reorganised away
+  matureRounds() {
+    const height = this.blockchain.chain.length - 1;
+    let settled = false;
+
+    for (const round of this.rounds) {
+      if (round.status !== 'immature' || height - round.height + 1 < this.confirmations) continue;
+
+      const confirmed = this.blockchain.chain[round.height]?.hash === round.hash;
+      for (const [address, amount] of Object.entries(round.credits)) {
+        const balance = this.getBalance(address);
+        balance.immature -= amount;
+        if (confirmed) balance.unpaid += amount;
+      }
+
+      round.status = confirmed ? 'confirmed' : 'orphaned';
+      settled = true;
+    }
+
+    if (settled) {
+      const overflow = this.rounds.length - MAX_ROUNDS;
+      if (overflow > 0) {
+        this.rounds = this.rounds.filter((round, i) => round.status === 'immature' || i >= overflow);
+      }
+      this.save();
+    }
+  }
+
+  handleTipChanged() {
+    this.matureRounds();
+    this.resolvePayouts().catch(error => {
+      console.error('❌ Pool payout check failed:', error);
+    });
+    this.createJob(true);
+  }
+
+  // A dropped payout stays signed and valid, and may still be mined from
+  // another node's mempool; it is resolved on the next tip change
+  handleTransactionEvicted({ transaction, reason }) {
+    const payout = this.payouts.find(entry => entry.txId === transaction.id && entry.status === 'pending');
+    if (!payout) return;
+
+    payout.reason = reason;
+    console.warn(`⚠️ Pool payout ${payout.txId} to ${payout.address} dropped from the mempool (${reason})`);
+    this.save();
+  }
+
+  // Pending payouts that are neither confirmed nor queued: once the pool has
+  // confirmed another transaction at the payout's nonce it can never be mined
+  // and goes back into the miner's balance; until then it is broadcast again
+  async resolvePayouts() {
+    const confirmed = this.confirmPayouts();
+    const dropped = this.payouts
+      .filter(payout => payout.status === 'pending' && payout.transaction)
+      .sort((a, b) => a.transaction.nonce - b.transaction.nonce);
+    let failed = 0;
+
+    for (const payout of dropped) {
+      if (this.blockchain.isKnownTransaction(payout.txId)) continue;
+
+      if (payout.transaction.nonce < this.blockchain.state.getNonce(this.address)) {
+        const balance = this.getBalance(payout.address);
+        balance.unpaid += payout.amount + payout.fee;
+        balance.paid -= payout.amount;
+        payout.status = 'failed';
+        payout.reason = 'nonce-used';
+        failed++;
+        console.warn(`⚠️ Pool payout ${payout.txId} to ${payout.address} replaced on chain; recredited`);
+        continue;
+      }
+
+      try {
+        await this.blockchain.addTransaction(Transaction.fromJSON(payout.transaction));
+        console.log(`🔁 Pool payout ${payout.txId} to ${payout.address} broadcast again`);
+      } catch (error) {
+        // Later payouts queue behind this nonce; try them all again next tip
+        console.warn(`⚠️ Pool payout ${payout.txId} not re-queued: ${error.message}`);
+        break;
+      }
+    }
+
+    if (confirmed > 0 || failed > 0) this.save();
+  }
+
+  // Settle pending payouts buried deep enough in the chain, as rounds are.
+  // Returns how many were settled.
+  confirmPayouts() {
+    const height = this.blockchain.chain.length - 1;
+    let confirmed = 0;
+
+    for (const payout of this.payouts) {
+      if (payout.status !== 'pending') continue;
+
+      const location = this.blockchain.getTransaction(payout.txId);
+      if (!location || height - location.blockIndex + 1 < this.confirmations) continue;
+
+      payout.status = 'confirmed';
+      payout.blockIndex = location.blockIndex;
+      delete payout.transaction; // Never broadcast again
+      confirmed++;
+    }
+
+    return confirmed;
+  }
+
+  // Pay every balance over `minPayout` in one batch of transactions from the
+  // pool address, each miner's fee taken from their payout
+  async runPayouts() {
+    // Dropped payouts go first, holding their nonces against the new batch
+    await this.resolvePayouts();
+
+    const feeRate = this.feeEstimator.getFeeRate();
+    const batchId = uuidv4();
+    let paid = 0;
+
+    for (const [address, balance] of this.balances) {
+      if (balance.unpaid < this.minPayout) continue;
+
+      const transaction = this.createPayout(address, balance.unpaid, batchId, feeRate);
+      if (!transaction) continue;
+
+      try {
+        await this.blockchain.addTransaction(transaction);
+      } catch (error) {
+        // Later payouts would queue behind this nonce; retry the rest next batch
+        console.warn(`⚠️ Pool payout to ${address} refused: ${error.message}`);
+        break;
+      }
+
+      balance.unpaid -= transaction.amount + transaction.fee;
+      balance.paid += transaction.amount;
+      this.payouts.push({
+        txId: transaction.id,
+        batchId,
+        address,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        createdAt: Date.now(),
+        status: 'pending',
+        // Kept to broadcast again if it is dropped from the mempool
+        transaction: transaction.toJSON()
+      });
+      paid++;
+    }
+
+    if (paid > 0) {
+      // Pending payouts stay until they settle, like immature rounds
+      const overflow = this.payouts.length - MAX_PAYOUTS;
+      if (overflow > 0) {
+        this.payouts = this.payouts.filter((payout, i) => payout.status === 'pending' || i >= overflow);
+      }
+      console.log(`💸 Pool payout batch ${batchId}: ${paid} transactions`);
+      this.save();
+    }
+
+    return paid;
+  }
+
+  // Signed transfer of `total` to `address`, less a fee that covers its own size
+  createPayout(address, total, batchId, feeRate) {
+    const nonce = this.blockchain.getNextNonce(this.address);
+    const build = fee => {
+      const transaction = new Transaction(this.address, address, total - fee, { poolPayout: batchId }, nonce, fee, this.blockchain.chainId);
+      transaction.signTransaction(this.key);
+      return transaction;
+    };
+
+    let transaction = build(0n);
+    while (transaction.fee < Mempool.calculateFee(transaction, feeRate)) {
+      const fee = Mempool.calculateFee(transaction, feeRate);
+      if (fee >= total) return null;
+      transaction = build(fee);
+    }
+
+    return transaction;
+  }
+
+  // New work on the tip for every worker. With `clean` the earlier jobs are
+  // stale (the tip moved); otherwise they keep taking shares.
+  createJob(clean) {
+    const job = {
+      id: crypto.randomBytes(4).toString('hex'),
+      block: this.blockchain.coordinator.buildTemplate(this.address),
+      createdAt: Date.now(),
+      shares: new Set()
+    };
+
+    if (clean) this.jobs.clear();
+    this.jobs.set(job.id, job);
+    if (this.jobs.size > MAX_JOBS) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+    this.currentJob = job;
+
+    for (const connection of this.connections.values()) {
+      if (connection.worker) this.sendJob(connection, clean);
+    }
+  }
+
+  // Move each connected worker's difficulty toward one share per `shareTime`,
+  // at most 4x either way per retarget
+  retargetWorkers() {
+    const now = Date.now();
+
+    for (const worker of this.workers.values()) {
+      if (!worker.connectionId || now - worker.retarget.since < this.retargetInterval / 2) continue;
+
+      const expected = (now - worker.retarget.since) / this.shareTime;
+      const ratio = worker.retarget.shares / expected;
+      worker.retarget = { since: now, shares: 0 };
+
+      const next = Math.min(
+        Math.max(Math.round(worker.difficulty * Math.min(Math.max(ratio, 0.25), 4)), this.minDifficulty),
+        this.getMaxDifficulty()
+      );
+
+      if (next !== worker.difficulty) {
+        worker.previousDifficulty = worker.difficulty;
+        worker.difficulty = next;
+        worker.difficultyChangedAt = now;
+        this.sendDifficulty(worker);
+        this.sendJob(this.connections.get(worker.connectionId), false);
+      }
+    }
+
+    // Shares in the window are worth keeping across a restart
+    this.save();
+  }
+
+  sendDifficulty(worker) {
+    const connection = this.connections.get(worker.connectionId);
+    if (connection) {
+      this.send(connection, { id: null, method: 'mining.set_difficulty', params: [worker.difficulty] });
+    }
+  }
+
+  sendJob(connection, clean) {
+    if (!connection || !this.currentJob) return;
+    this.send(connection, {
+      id: null,
+      method: 'mining.notify',
+      params: [this.currentJob.id, this.currentJob.block.getHeader(), clean]
+    });
+  }
+
+  send(connection, message) {
+    if (connection.ws.readyState === connection.ws.OPEN) {
+      connection.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Hashes per second implied by a worker's shares over the last HASHRATE_WINDOW
+  getWorkerHashRate(worker, now = Date.now()) {
+    worker.recent = worker.recent.filter(share => share.time > now - HASHRATE_WINDOW);
+    if (worker.recent.length === 0) return 0;
+
+    const since = Math.max(now - HASHRATE_WINDOW, worker.connectedAt ?? worker.recent[0].time);
+    const difficulty = worker.recent.reduce((total, share) => total + share.difficulty, 0);
+    return Math.round(difficulty * HASHES_PER_DIFFICULTY * 1000 / Math.max(now - since, 1000));
+  }
+
+  getWorkers() {
+    const now = Date.now();
+    return [...this.workers.values()].map(worker => {
+      const balance = this.getBalance(worker.address);
+      return {
+        name: worker.name,
+        address: worker.address,
+        online: Boolean(worker.connectionId),
+        difficulty: worker.difficulty,
+        hashRate: this.getWorkerHashRate(worker, now),
+        validShares: worker.validShares,
+        invalidShares: worker.invalidShares,
+        staleShares: worker.staleShares,
+        lastShareAt: worker.lastShareAt,
+        balance: MiningPool.describeBalance(balance)
+      };
+    });
+  }
+
+  // Payouts, newest first, with their on-chain status; optionally for one address
+  getPayouts(address = null) {
+    const payouts = this.payouts
+      .filter(payout => !address || payout.address === address)
+      .reverse()
+      .map(payout => {
+        const confirmed = payout.status === 'pending' ? this.blockchain.getTransaction(payout.txId) : null;
+        return {
+          txId: payout.txId,
+          batchId: payout.batchId,
+          address: payout.address,
+          amount: payout.amount.toString(),
+          fee: payout.fee.toString(),
+          createdAt: payout.createdAt,
+          status: confirmed ? 'confirmed' : payout.status,
+          blockIndex: confirmed?.blockIndex ?? payout.blockIndex ?? null,
+          reason: payout.reason ?? null
+        };
+      });
+
+    const balances = [...this.balances.entries()]
+      .filter(([owner]) => !address || owner === address)
+      .map(([owner, balance]) => ({ address: owner, ...MiningPool.describeBalance(balance) }));
+
+    return { balances, payouts };
+  }
+
+  getStats() {
+    const workers = this.getWorkers();
+    const totals = [...this.balances.values()].reduce((sum, balance) => ({
+      immature: sum.immature + balance.immature,
+      unpaid: sum.unpaid + balance.unpaid,
+      paid: sum.paid + balance.paid
+    }), { immature: 0n, unpaid: 0n, paid: 0n });
+
+    return {
+      address: this.address,
+      port: this.port,
+      fee: this.fee,
+      workers: workers.length,
+      onlineWorkers: workers.filter(worker => worker.online).length,
+      hashRate: workers.reduce((total, worker) => total + worker.hashRate, 0),
+      networkDifficulty: this.blockchain.difficulty,
+      pplnsWindow: this.getWindowSize(),
+      sharesInWindow: this.shares.length,
+      currentJob: this.currentJob ? { id: this.currentJob.id, height: this.currentJob.block.index } : null,
+      blocksFound: this.rounds.length,
+      recentBlocks: this.rounds.slice(-10).reverse().map(round => ({
+        height: round.height,
+        hash: round.hash,
+        reward: round.reward.toString(),
+        poolFee: round.poolFee.toString(),
+        foundBy: round.foundBy,
+        foundAt: round.foundAt,
+        status: round.status
+      })),
+      balances: MiningPool.describeBalance(totals)
+    };
+  }
+
+  static describeBalance({ immature, unpaid, paid }) {
+    return { immature: immature.toString(), unpaid: unpaid.toString(), paid: paid.toString() };
+  }
+
+  // Queue a write of the pool's accounting; writes never overlap
+  save() {
+    this.saving = this.saving
+      .then(() => database.savePoolState(this.toJSON()))
+      .catch(error => console.error('❌ Failed to save pool state:', error));
+  }
+
+  toJSON() {
+    return {
+      address: this.address,
+      shares: this.shares,
+      rounds: this.rounds.map(round => ({
+        ...round,
+        reward: round.reward.toString(),
+        poolFee: round.poolFee.toString(),
+        credits: Object.fromEntries(Object.entries(round.credits).map(([address, amount]) => [address, amount.toString()]))
+      })),
+      balances: Object.fromEntries([...this.balances].map(([address, balance]) => [address, MiningPool.describeBalance(balance)])),
+      payouts: this.payouts.map(payout => ({ ...payout, amount: payout.amount.toString(), fee: payout.fee.toString() })),
+      workers: [...this.workers.values()].map(worker => ({
+        name: worker.name,
+        address: worker.address,
+        difficulty: worker.difficulty,
+        validShares: worker.validShares,
+        invalidShares: worker.invalidShares,
+        staleShares: worker.staleShares,
+        lastShareAt: worker.lastShareAt
+      }))
+    };
+  }
+
+  restore(state) {
+    if (!state) return;
+
+    // Accounting belongs to one pool key; a new key starts afresh
+    if (state.address !== this.address) {
+      console.warn(`⚠️ Stored pool state is for ${state.address}, not ${this.address}; starting a new ledger`);
+      return;
+    }
+
+    this.shares = state.shares || [];
+    this.rounds = (state.rounds || []).map(round => ({
+      ...round,
+      reward: BigInt(round.reward),
+      poolFee: BigInt(round.poolFee),
+      credits: Object.fromEntries(Object.entries(round.credits).map(([address, amount]) => [address, BigInt(amount)]))
+    }));
+    this.balances = new Map(Object.entries(state.balances || {}).map(([address, balance]) => [address, {
+      immature: BigInt(balance.immature),
+      unpaid: BigInt(balance.unpaid),
+      paid: BigInt(balance.paid)
+    }]));
+    this.payouts = (state.payouts || []).map(payout => ({ ...payout, amount: BigInt(payout.amount), fee: BigInt(payout.fee) }));
+
+    for (const saved of state.workers || []) {
+      Object.assign(this.getWorker(saved.name, saved.address), saved);
+    }
+
+    console.log(`⛏️ Restored pool ledger: ${this.rounds.length} blocks, ${this.payouts.length} payouts`);
+  }
+}
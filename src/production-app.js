@@ -10,6 +10,7 @@ import { KeetaNode } from './network/node.js';
 import { WalletAPI } from './api/wallet.js';
 import { ExplorerAPI } from './api/explorer.js';
 import { MiningAPI } from './api/mining.js';
+import { MiningPool } from './network/pool.js';
 import { config } from './config/config.js';
 import { monitor } from './monitoring/metrics.js';
 import { securityHeaders, requestLogger, errorHandler, corsOptions } from './middleware/security.js';
@@ -25,6 +26,7 @@ class ProductionKeetaApp {
     this.walletAPI = null;
     this.explorerAPI = null;
     this.miningAPI = null;
+    this.pool = null;
     this.isInitialized = false;
   }
 
@@ -44,12 +46,20 @@ class ProductionKeetaApp {
       this.node = new KeetaNode(this.blockchain);
       this.walletAPI = new WalletAPI(this.blockchain);
       this.explorerAPI = new ExplorerAPI(this.blockchain);
-      this.miningAPI = new MiningAPI(this.blockchain, this.node);
+      if (config.get('pool.enabled', false)) {
+        this.pool = new MiningPool(this.blockchain, { ...config.get('pool'), key: await config.loadPoolKey() });
+      }
+      this.miningAPI = new MiningAPI(this.blockchain, this.node, this.pool);
 
       // Initialize blockchain with database
       await this.blockchain.initialize();
       console.log('✅ Blockchain initialized');
 
+      if (this.pool) {
+        await this.pool.start();
+        console.log('✅ Mining pool started');
+      }
+
       // Start monitoring
       await monitor.start(this.blockchain, this.node);
       console.log('✅ Monitoring started');
@@ -161,11 +171,11 @@ class ProductionKeetaApp {
           blockchain: {
             height: this.blockchain.getLatestBlock().height,
             isValid: isHealthy,
-            pendingTransactions: this.blockchain.pendingTransactions.length
+            pendingTransactions: this.blockchain.mempool.size
           },
           network: {
             connectedPeers: peers.length,
-            hashRate: this.node.getHashRate()
+            hashRate: this.blockchain.getNetworkHashRate()
           },
           system: {
             memory: process.memoryUsage(),